@@ -0,0 +1,146 @@
+'use strict';
+
+import { clone } from 'better-clone';
+
+const DEFAULT_MAX_SIZE = 1000;
+const DEFAULT_TTL = 60 * 1000; // 1 minute
+
+// Serves get() and getMany() from memory. Usage:
+//   store.use(new CachePlugin({ models: ['Country'], ttl: 10 * 60 * 1000 }));
+// Options:
+//   maxSize: maximum number of cached items. When it is reached,
+//     the least recently used item is evicted. Default: 1000.
+//   ttl: time (in milliseconds) an item stays in the cache. Default: 1 minute.
+//   models: names of the models to cache. Default: all the models.
+// The cache is bypassed inside transactions and with the 'withDeleted'
+// option, and an item is evicted each time it is saved or deleted.
+export class CachePlugin {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    this.ttl = options.ttl || DEFAULT_TTL;
+    if (options.models) this.models = options.models;
+    this.entries = new Map(); // ordered from the least recently used
+    this.resetStats();
+  }
+
+  plug(store) {
+    if (this.store) throw new Error('A CachePlugin can be plugged into one store only');
+    this.store = store;
+    const plugin = this;
+
+    store.use(async function(context, next) {
+      if (context.operation === 'get') return await plugin.get(context, next);
+      if (context.operation === 'getMany') return await plugin.getMany(context, next);
+      return await next();
+    });
+
+    function evict(item) {
+      plugin.deleteEntry(item.primaryKeyValue);
+      // a concurrent get() may have cached the previous value until the commit
+      return this.afterCommit(() => plugin.deleteEntry(item.primaryKeyValue));
+    }
+    store.on('didPut', evict);
+    store.on('didDelete', evict);
+  }
+
+  async get(context, next) {
+    const { store, model, item, options } = context;
+    if (!this.isUsable(store, model, options)) return await next();
+    const entry = this.getEntry(model, item.primaryKeyValue);
+    if (entry) {
+      item.mutate(clone(entry.instance), store[entry.className]);
+      return item;
+    }
+    const result = await next();
+    if (result) this.setEntry(result);
+    return result;
+  }
+
+  async getMany(context, next) {
+    const { store, model, items, options } = context;
+    if (!items.length || !this.isUsable(store, model, options)) return await next();
+    const results = [];
+    const missingItems = [];
+    for (const item of items) {
+      const entry = this.getEntry(model, item.primaryKeyValue);
+      if (entry) {
+        item.mutate(clone(entry.instance), store[entry.className]);
+        results.push(item);
+      } else {
+        missingItems.push(item);
+      }
+    }
+    if (missingItems.length) {
+      context.items = missingItems;
+      for (const result of await next()) {
+        this.setEntry(result);
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  isUsable(store, model, options) {
+    if (store.insideTransaction) return false;
+    if (options.withDeleted) return false;
+    if (this.models && !this.models.includes(model.getName())) return false;
+    return true;
+  }
+
+  getEntry(model, key) {
+    let entry = this.entries.get(key);
+    if (entry && entry.expiresOn <= Date.now()) {
+      this.entries.delete(key);
+      entry = undefined;
+    }
+    if (!(entry && entry.classNames.includes(model.getName()))) {
+      this.misses++;
+      return undefined;
+    }
+    // moves the entry to the end (most recently used)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry;
+  }
+
+  setEntry(item) {
+    const key = item.primaryKeyValue;
+    this.entries.delete(key);
+    this.entries.set(key, {
+      className: item.constructor.getName(),
+      classNames: item.constructor.getClassNames(),
+      instance: item.serialize(),
+      expiresOn: Date.now() + this.ttl
+    });
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  deleteEntry(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // Returns { hits, misses, hitRate, size }
+  getStats() {
+    const total = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: total ? this.hits / total : 0,
+      size: this.entries.size
+    };
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
+
+export default CachePlugin;
@@ -0,0 +1,199 @@
+'use strict';
+
+// Babel 6 cannot extend built-in classes such as Error ('instanceof' would
+// not work), so the base error is defined the old way. Other errors can
+// extend it with the class syntax.
+export function ObjectLayerError(message) {
+  this.name = this.constructor.name;
+  this.message = message;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = (new Error(message)).stack;
+  }
+}
+
+ObjectLayerError.prototype = Object.create(Error.prototype);
+ObjectLayerError.prototype.constructor = ObjectLayerError;
+ObjectLayerError.prototype.code = 'OBJECT_LAYER_ERROR';
+
+// The context properties (className, key,...) are serialized along
+// with the code so that the error can be rebuilt by a remote client
+ObjectLayerError.prototype.toJSON = function() {
+  const json = { name: this.name, code: this.code, message: this.message };
+  for (const key of Object.keys(this)) {
+    if (key === 'stack' || json.hasOwnProperty(key)) continue;
+    json[key] = this[key];
+  }
+  return json;
+};
+
+ObjectLayerError.fromJSON = function(json) {
+  const ErrorClass = ERROR_CLASSES[json.code] || ObjectLayerError;
+  const err = Object.create(ErrorClass.prototype);
+  ObjectLayerError.call(err, json.message);
+  for (const key of Object.keys(json)) {
+    if (key === 'name' || key === 'code' || key === 'message') continue;
+    err[key] = json[key];
+  }
+  return err;
+};
+
+// Thrown when a model, a relation or a store is incorrectly defined
+export class DefinitionError extends ObjectLayerError {}
+DefinitionError.prototype.code = 'INVALID_DEFINITION';
+
+// Thrown when an item is missing (with the 'errorIfMissing' option)
+export class NotFoundError extends ObjectLayerError {
+  constructor(className, key, message = 'Item not found') {
+    super(message);
+    this.className = className;
+    this.key = key;
+  }
+}
+NotFoundError.prototype.code = 'NOT_FOUND';
+
+export class ModelNotFoundError extends NotFoundError {
+  constructor(className) {
+    super(className, undefined, `Model '${className}' not found`);
+  }
+}
+ModelNotFoundError.prototype.code = 'MODEL_NOT_FOUND';
+
+// Thrown when saving a new item with a key that is already used
+export class AlreadyExistsError extends ObjectLayerError {
+  constructor(className, key) {
+    super('Item already exists');
+    this.className = className;
+    this.key = key;
+  }
+}
+AlreadyExistsError.prototype.code = 'ALREADY_EXISTS';
+
+// Thrown when saving an item that does not pass the validators of its fields.
+// 'reasons' is an array of { failedValidator, path } objects.
+export class ValidationError extends ObjectLayerError {
+  constructor(item, reasons) {
+    super(`Validation failed (reasons=${JSON.stringify(reasons)})`);
+    this.className = item.constructor.getName();
+    this.key = item.primaryKeyValue;
+    this.reasons = reasons;
+  }
+}
+ValidationError.prototype.code = 'VALIDATION_FAILED';
+
+// Thrown when using a relation that does not exist or with an item
+// of a class not allowed by the relation
+export class InvalidRelationError extends ObjectLayerError {
+  constructor(className, relation, message = `Relation '${relation}' not found`) {
+    super(message);
+    this.className = className;
+    this.relation = relation;
+  }
+}
+InvalidRelationError.prototype.code = 'INVALID_RELATION';
+
+// Thrown when no index declared in the @model() registration can serve
+// a query. 'suggestedIndex' is an index that would do.
+export class MissingIndexError extends ObjectLayerError {
+  constructor(className, queryKeys, order, suggestedIndex) {
+    const description = `query=${JSON.stringify(queryKeys)}, order=${JSON.stringify(order)}`;
+    super(`No index found for ${className} (${description}). Declare an index such as ${JSON.stringify(suggestedIndex)} in the @model() registration.`);
+    this.className = className;
+    this.queryKeys = queryKeys;
+    this.order = order;
+    this.suggestedIndex = suggestedIndex;
+  }
+}
+MissingIndexError.prototype.code = 'MISSING_INDEX';
+
+// Thrown when a query (or a cursor) is malformed. 'queryKey' is the key
+// of the faulty condition, if any.
+export class InvalidQueryError extends ObjectLayerError {
+  constructor(message, queryKey) {
+    super(message);
+    if (queryKey !== undefined) this.queryKey = queryKey;
+  }
+}
+InvalidQueryError.prototype.code = 'INVALID_QUERY';
+
+// Thrown when a store (or an archive) has been created by a version
+// of object-layer that is not supported
+export class StoreVersionError extends ObjectLayerError {
+  constructor(storeName, storedVersion, currentVersion, message) {
+    super(message);
+    this.storeName = storeName;
+    this.storedVersion = storedVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+StoreVersionError.prototype.code = 'STORE_VERSION';
+
+// Thrown when deleting an item having related items through a relation
+// defined with the 'restrict' delete policy
+export class DeleteRestrictedError extends ObjectLayerError {
+  constructor(item, relation) {
+    const className = item.constructor.getName();
+    const key = item.primaryKeyValue;
+    super(`Cannot delete ${className}#${key} because it has related items (relation='${relation.name}')`);
+    this.className = className;
+    this.key = key;
+    this.relation = relation.name;
+  }
+}
+DeleteRestrictedError.prototype.code = 'DELETE_RESTRICTED';
+
+// Thrown when saving an item having the same values as another item
+// for the keys of a unique constraint
+export class UniqueConstraintError extends ObjectLayerError {
+  constructor(item, className, keys, values, conflictingKey) {
+    const constraint = `${className}(${keys.join(', ')})`;
+    super(`Cannot save ${item.constructor.getName()}#${item.primaryKeyValue} because of the unique constraint ${constraint} (conflictingKey=${conflictingKey})`);
+    this.className = item.constructor.getName();
+    this.key = item.primaryKeyValue;
+    this.constraint = constraint;
+    this.keys = keys;
+    this.values = values;
+    this.conflictingKey = conflictingKey;
+  }
+}
+UniqueConstraintError.prototype.code = 'UNIQUE_CONSTRAINT';
+
+// Thrown when saving an item that has been modified by someone else
+// since it was loaded (see the @version() decorator)
+export class ConflictError extends ObjectLayerError {
+  constructor(item, expectedVersion, storedVersion) {
+    const className = item.constructor.getName();
+    const key = item.primaryKeyValue;
+    super(`Cannot save ${className}#${key} because it has been modified in the meantime (expectedVersion=${expectedVersion}, storedVersion=${storedVersion})`);
+    this.className = className;
+    this.key = key;
+    this.expectedVersion = expectedVersion;
+    this.storedVersion = storedVersion;
+  }
+}
+ConflictError.prototype.code = 'CONFLICT';
+
+// Thrown when an operation does not apply to an item (e.g. restoring
+// an item of a model without a @deletedOn() field). 'item' is undefined
+// when the operation is invalid whatever the item (e.g. importing an
+// archive without a header).
+export class InvalidOperationError extends ObjectLayerError {
+  constructor(item, message) {
+    super(message);
+    if (item) {
+      this.className = item.constructor.getName();
+      this.key = item.primaryKeyValue;
+    }
+  }
+}
+InvalidOperationError.prototype.code = 'INVALID_OPERATION';
+
+const ERROR_CLASSES = {};
+for (const ErrorClass of [
+  DefinitionError, NotFoundError, ModelNotFoundError, AlreadyExistsError, ValidationError,
+  InvalidRelationError, MissingIndexError, StoreVersionError, DeleteRestrictedError, UniqueConstraintError,
+  ConflictError, InvalidQueryError, InvalidOperationError
+]) {
+  ERROR_CLASSES[ErrorClass.prototype.code] = ErrorClass;
+}
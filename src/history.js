@@ -0,0 +1,46 @@
+'use strict';
+
+import { clone } from 'better-clone';
+
+// Reserved class holding the history entries (see the 'history' option
+// of @model()). Entries are ordered by key (a ULID).
+export const HISTORY_CLASS_NAME = '$History';
+
+// Returns the properties changed between two serialized instances:
+//   { name: { from: 'Jack', to: 'John' } }
+// 'from' (or 'to') is omitted when the property is not defined
+export function diffInstances(previousInstance = {}, instance = {}) {
+  const changes = {};
+  const names = Object.keys(previousInstance);
+  for (const name of Object.keys(instance)) {
+    if (!names.includes(name)) names.push(name);
+  }
+  for (const name of names) {
+    const from = previousInstance[name];
+    const to = instance[name];
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    const change = {};
+    if (from !== undefined) change.from = clone(from);
+    if (to !== undefined) change.to = clone(to);
+    changes[name] = change;
+  }
+  return changes;
+}
+
+// Returns the state of an item before the changes of 'entries' (ordered
+// from the oldest) were applied to 'instance', or undefined if the item
+// did not exist
+export function unapplyChanges(instance, entries) {
+  const state = instance ? clone(instance) : {};
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const changes = entries[i].changes;
+    for (const name of Object.keys(changes)) {
+      if (changes[name].hasOwnProperty('from')) {
+        state[name] = clone(changes[name].from);
+      } else {
+        delete state[name];
+      }
+    }
+  }
+  return Object.keys(state).length ? state : undefined;
+}
@@ -3,4 +3,11 @@
 export { model } from './store';
 export { LocalStore } from './store/local';
 export { RemoteStore } from './store/remote';
-export { Model, primaryKey, foreignKey, field, createdOn, updatedOn, hasOne, hasMany, belongsTo } from './model';
+export { Model, primaryKey, foreignKey, field, createdOn, updatedOn, deletedOn, version, hasOne, hasMany, hasManyThrough, belongsTo, expose } from './model';
+export {
+  ObjectLayerError, DefinitionError, NotFoundError, ModelNotFoundError, AlreadyExistsError,
+  ValidationError, InvalidRelationError, MissingIndexError, StoreVersionError, DeleteRestrictedError, ConflictError,
+  UniqueConstraintError, InvalidQueryError, InvalidOperationError
+} from './errors';
+export { Synchronizer } from './synchronizer';
+export { CachePlugin } from './cache-plugin';
@@ -0,0 +1,81 @@
+'use strict';
+
+const ASYNC_ITERATOR = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+class IterationAborted {}
+
+// Turns the callback-based forEach() of a model into an async iterator.
+// forEach() is suspended until the next item is requested, so that no more
+// than one batch of items is held in memory. Breaking out of a 'for await'
+// loop calls return(), which stops forEach().
+export class ItemIterator {
+  constructor(model, options = {}) {
+    this.model = model;
+    this.options = options;
+    this.isDone = false;
+  }
+
+  [ASYNC_ITERATOR]() {
+    return this;
+  }
+
+  next() {
+    if (this.error) {
+      const err = this.error;
+      this.error = undefined;
+      this.isDone = true;
+      return Promise.reject(err);
+    }
+    if (this.isDone) return Promise.resolve({ value: undefined, done: true });
+    return new Promise((resolve, reject) => {
+      this.consumer = { resolve, reject };
+      if (!this.iteration) {
+        this.start();
+      } else if (this.producer) {
+        const producer = this.producer;
+        this.producer = undefined;
+        producer.resolve();
+      }
+    });
+  }
+
+  async return() {
+    this.isDone = true;
+    if (this.producer) {
+      const producer = this.producer;
+      this.producer = undefined;
+      producer.reject(new IterationAborted());
+    }
+    if (this.iteration) await this.iteration;
+    return { value: undefined, done: true };
+  }
+
+  start() {
+    this.iteration = this.model.forEach(this.options, item => {
+      return new Promise((resolve, reject) => {
+        this.producer = { resolve, reject };
+        const consumer = this.consumer;
+        this.consumer = undefined;
+        consumer.resolve({ value: item, done: false });
+      });
+    }).then(() => {
+      this.end();
+    }, err => {
+      if (err instanceof IterationAborted) return;
+      this.end(err);
+    });
+  }
+
+  end(err) {
+    const consumer = this.consumer;
+    this.consumer = undefined;
+    if (!consumer) {
+      if (err) this.error = err; // rejects the next call to next()
+      else this.isDone = true;
+      return;
+    }
+    this.isDone = true;
+    if (err) consumer.reject(err);
+    else consumer.resolve({ value: undefined, done: true });
+  }
+}
@@ -0,0 +1,21 @@
+'use strict';
+
+import { Readable } from 'stream';
+
+// Returns a Readable stream (in object mode) pulling the items from
+// an ItemIterator. Destroying the stream stops the iteration.
+export function createItemStream(iterator) {
+  return new Readable({
+    objectMode: true,
+    read() {
+      iterator.next().then(({ value, done }) => {
+        this.push(done ? null : value);
+      }, err => {
+        this.destroy(err);
+      });
+    },
+    destroy(err, callback) {
+      iterator.return().then(() => callback(err), callback);
+    }
+  });
+}
@@ -0,0 +1,76 @@
+'use strict';
+
+// Crockford's base32 (no I, L, O and U) keeps the lexicographic order
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+let lastTime;
+let lastRandom;
+
+// Returns a 26 characters string starting with the current time, so that
+// keys sort by creation time. Inside the same millisecond, the random part
+// is incremented to keep the order (monotonic ULID).
+export function generateULID(now = Date.now()) {
+  let random;
+  if (now === lastTime) {
+    random = incrementBase32(lastRandom);
+  } else {
+    random = randomBase32(RANDOM_LENGTH);
+    lastTime = now;
+  }
+  lastRandom = random;
+  return encodeTime(now) + random;
+}
+
+// Returns a random (version 4) UUID
+export function generateUUID() {
+  const bytes = randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // version
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // variant
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) hex += (bytes[i] + 0x100).toString(16).substr(1);
+  return [
+    hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)
+  ].join('-');
+}
+
+function encodeTime(time) {
+  let str = '';
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    str = ENCODING[time % 32] + str;
+    time = Math.floor(time / 32);
+  }
+  return str;
+}
+
+function randomBase32(length) {
+  const bytes = randomBytes(length);
+  let str = '';
+  for (let i = 0; i < length; i++) str += ENCODING[bytes[i] % 32];
+  return str;
+}
+
+// The Web Crypto API is available in browsers and in Node (>= 15)
+function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return bytes;
+}
+
+function incrementBase32(str) {
+  const chars = str.split('');
+  for (let i = chars.length - 1; i >= 0; i--) {
+    const index = ENCODING.indexOf(chars[i]);
+    if (index < ENCODING.length - 1) {
+      chars[i] = ENCODING[index + 1];
+      return chars.join('');
+    }
+    chars[i] = ENCODING[0];
+  }
+  throw new Error('Cannot generate more ULIDs in the same millisecond');
+}
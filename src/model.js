@@ -3,7 +3,19 @@
 import { clone } from 'better-clone';
 import idgen from 'idgen';
 import { TopModel } from 'top-model';
-import Relation from './relation';
+import Relation, { ThroughRelationAccessor } from './relation';
+import {
+  DefinitionError, NotFoundError, ValidationError, InvalidRelationError, DeleteRestrictedError,
+  InvalidOperationError
+} from './errors';
+import { generateULID, generateUUID } from './key-generators';
+import { ItemIterator } from './item-iterator';
+import { diffInstances, unapplyChanges } from './history';
+import { makeJSONSchema } from './schema';
+
+const KEY_GENERATORS = ['random', 'sequence', 'ulid', 'uuid'];
+
+export const VERSION_PRESERVING_SOURCES = ['localSynchronizer', 'remoteSynchronizer', 'archive'];
 
 export class Model extends TopModel {
   static getSelfAndSuperclasses() {
@@ -48,10 +60,16 @@ export class Model extends TopModel {
     if (id) this.primaryKeyValue = id;
     const origin = this.constructor._origin;
     if (origin) {
-      this[origin.relation.foreignKey] = origin.item.primaryKeyValue;
+      Object.assign(this, origin.relation.makeQuery(origin.item));
     }
   }
 
+  // Same as TopModel's validate() but throws a ValidationError
+  validate() {
+    const validity = this.checkValidity();
+    if (!validity.valid) throw new ValidationError(this, validity.reasons);
+  }
+
   clone() {
     return this.constructor.unserialize(this.serialize());
   }
@@ -64,34 +82,51 @@ export class Model extends TopModel {
 
   static async get(item, options = {}) {
     item = this.normalizeItem(item);
+    const include = options.include;
+    // a remote store gets the related items along with the item
+    let isIncludedByStore = Boolean(include) && !this.store.isLocal;
+    if (include && !isIncludedByStore) {
+      options = clone(options);
+      delete options.include;
+    }
     if (!item.primaryKeyValue && item._origin && item._origin.relation.type === 'HAS_ONE') {
-      const query = {};
-      query[item._origin.relation.foreignKey] = item._origin.item.primaryKeyValue;
+      const query = item._origin.relation.makeQuery(item._origin.item);
       const items = await this.store.find(this, { query, limit: 1 });
+      isIncludedByStore = false;
       if (items[0]) {
         item.mutate(items[0]);
       } else {
-        if (options.errorIfMissing !== false) throw new Error('Item not found');
+        if (options.errorIfMissing !== false) throw new NotFoundError(this.getName());
         item = undefined;
       }
     } else {
       item = await this.store.get(item, options);
     }
-    if (item) item.saved = item.clone();
+    if (item) {
+      item = this.store.identifyItem(item);
+      item.saved = item.clone();
+    }
+    if (item && include && !isIncludedByStore) await this.loadRelations([item], include);
     return item;
   }
 
+  // 'willSave' and 'didSave' listeners receive the options and the changes
+  // (see getChanges()). The changes received by 'didSave' include the
+  // fields set by the 'willSave' listeners.
   static async put(item, options = {}) {
     item = this.normalizeItem(item);
+    let changes;
     try {
       item.isSaving = true;
       await item.transaction(async function(savingItem) {
-        await savingItem.emit('willSave', options);
+        await savingItem.emit('willSave', options, savingItem.getChanges());
         if (options.validate !== false) savingItem.validate();
         await savingItem.constructor.store.put(savingItem, options);
+        changes = savingItem.getChanges();
       });
       item.saved = item.clone();
-      await item.emit('didSave', options);
+      this.store.identifyItem(item);
+      await item.emit('didSave', options, changes);
       if (this.store.log) {
         this.store.log.trace(item.constructor.getName() + '#' + item.primaryKeyValue + ' saved to ' + (this.store.isLocal ? 'local' : 'remote') + ' store');
       }
@@ -101,20 +136,53 @@ export class Model extends TopModel {
     return item;
   }
 
+  // Saves only the specified fields:
+  //   await Person.patch('abc123', { email: 'jack@domain.com' });
+  // The item is loaded and saved in a transaction, so that concurrent
+  // patches of different fields don't overwrite each other. With a remote
+  // store, the operations are not atomic (see RemoteStore#transaction()).
+  // If 'item' is an item, its value is replaced by the saved one.
+  static async patch(item, changes, options = {}) {
+    item = this.normalizeItem(item);
+    const patchedItem = await this.transaction(async function(transactionModel) {
+      const storedItem = await transactionModel.get(item.primaryKeyValue, { withDeleted: true });
+      for (const name of Object.keys(changes)) {
+        if (!storedItem.getField(name)) {
+          throw new InvalidOperationError(storedItem, `Cannot patch an unknown field (field='${name}')`);
+        }
+        storedItem[name] = changes[name];
+      }
+      return await storedItem.constructor.put(storedItem, options);
+    });
+    item.mutate(patchedItem.serialize(), this.store[patchedItem.constructor.getName()]);
+    item.saved = item.clone();
+    return this.store.identifyItem(item);
+  }
+
+  // Options:
+  //   purge: with a model having a @deletedOn() field, removes the item
+  //     instead of marking it as deleted
   static async delete(item, options = {}) {
     item = this.normalizeItem(item);
     if (!item.primaryKeyValue && item._origin && item._origin.relation.type === 'HAS_ONE') {
       await item.load();
     }
+    if (item.deletedOnField && !options.purge && this.store.isLocal) {
+      return await this.softDelete(item, options);
+    }
+    const storeOptions = clone(options);
+    // a remote store lets its server decide
+    if (this.store.isLocal) delete storeOptions.purge;
     let hasBeenDeleted;
     try {
       item.isDeleting = true;
       await item.transaction(async function(deletingItem) {
         await deletingItem.emit('willDelete', options);
-        hasBeenDeleted = await deletingItem.constructor.store.delete(deletingItem, options);
+        hasBeenDeleted = await deletingItem.constructor.store.delete(deletingItem, storeOptions);
         deletingItem.saved = undefined;
       });
       if (hasBeenDeleted) {
+        this.store.forgetItem(item);
         await item.emit('didDelete', options);
         if (this.store.log) {
           this.store.log.trace(item.constructor.getName() + '#' + item.primaryKeyValue + ' deleted from ' + (this.store.isLocal ? 'local' : 'remote') + ' store');
@@ -126,26 +194,118 @@ export class Model extends TopModel {
     return hasBeenDeleted;
   }
 
+  // Sets the @deletedOn() field instead of removing the item.
+  // Delete policies of the relations are not applied so that
+  // the item can be restored.
+  static async softDelete(item, options = {}) {
+    item = this.normalizeItem(item);
+    if (item.isNew) { // only the key is known
+      const loadedItem = await this.get(item, { errorIfMissing: options.errorIfMissing });
+      if (!loadedItem) return false;
+    }
+    if (item.isDeleted) {
+      if (options.errorIfMissing !== false) throw new NotFoundError(this.getName(), item.primaryKeyValue);
+      return false;
+    }
+    const putOptions = clone(options);
+    delete putOptions.errorIfMissing;
+    delete putOptions.purge;
+    item[item.deletedOnField.name] = new Date();
+    await this.put(item, putOptions);
+    return true;
+  }
+
+  static async restore(item, options = {}) {
+    item = this.normalizeItem(item);
+    if (!item.deletedOnField) {
+      throw new InvalidOperationError(item, 'Cannot restore an item without a deletedOn field');
+    }
+    if (item.isNew) {
+      const loadedItem = await this.get(item, { errorIfMissing: options.errorIfMissing, withDeleted: true });
+      if (!loadedItem) return false;
+    }
+    if (!item.isDeleted) return false;
+    item[item.deletedOnField.name] = undefined;
+    await this.put(item, { source: options.source });
+    return true;
+  }
+
+  static async purge(item, options = {}) {
+    options = clone(options);
+    options.purge = true;
+    return await this.delete(item, options);
+  }
+
   static async getMany(items, options = {}) {
     if (!Array.isArray(items)) {
-      throw new Error('Invalid \'items\' parameter (should be an array)');
+      throw new InvalidOperationError(undefined, 'Invalid \'items\' parameter (should be an array)');
     }
     items = items.map(this.normalizeItem.bind(this));
+    // a remote store gets the related items along with the items
+    const include = this.store.isLocal ? options.include : undefined;
+    if (include) {
+      options = clone(options);
+      delete options.include;
+    }
     items = await this.store.getMany(items, options);
+    items = items.map(item => this.store.identifyItem(item));
     for (const item of items) item.saved = item.clone();
+    if (include) await this.loadRelations(items, include);
     return items;
   }
 
+  // Options:
+  //   query: equalities and operators such as $gt, $in or $prefix
+  //     (see src/query.js)
+  //   explain: instead of the items, returns the index used by the query
   static async find(options = {}) {
     options = this.injectOriginToQuery(options);
-    const items = await this.store.find(this, options);
+    if (options.explain) {
+      options = clone(options);
+      delete options.explain;
+      return await this.store.explain(this, options);
+    }
+    // a remote store gets the related items along with the items
+    const include = this.store.isLocal ? options.include : undefined;
+    if (include) {
+      options = clone(options);
+      delete options.include;
+    }
+    let items = await this.store.find(this, options);
+    items = items.map(item => this.store.identifyItem(item));
     for (const item of items) {
       item.saved = item.clone();
       this.propagateOriginToItem(item);
     }
+    if (include) await this.loadRelations(items, include);
     return items;
   }
 
+  // Returns { items, nextCursor, hasMore }. To get the next page, call
+  // paginate() again with the same options and 'cursor' set to 'nextCursor'.
+  static async paginate(options = {}) {
+    options = this.injectOriginToQuery(options);
+    // a remote store gets the related items along with the items
+    const include = this.store.isLocal ? options.include : undefined;
+    if (include) {
+      options = clone(options);
+      delete options.include;
+    }
+    const page = await this.store.paginate(this, options);
+    page.items = page.items.map(item => this.store.identifyItem(item));
+    for (const item of page.items) {
+      item.saved = item.clone();
+      this.propagateOriginToItem(item);
+    }
+    if (include) await this.loadRelations(page.items, include);
+    return page;
+  }
+
+  static async explain(options = {}) {
+    options = this.injectOriginToQuery(options);
+    return await this.store.explain(this, options);
+  }
+
   static async count(options = {}) {
     options = this.injectOriginToQuery(options);
     return await this.store.count(this, options);
@@ -154,18 +314,177 @@ export class Model extends TopModel {
   static async forEach(options = {}, fn, thisArg) {
     options = this.injectOriginToQuery(options);
     await this.store.forEach(this, options, async function(item) {
+      item = this.store.identifyItem(item);
       item.saved = item.clone();
       this.propagateOriginToItem(item);
       await fn.call(thisArg, item);
     }, this);
   }
 
+  // Returns an async iterable:
+  //   for await (const item of Model.iterate({ query })) { ... }
+  // With Node, createItemStream() (see src/node.js) turns it into a
+  // Readable stream.
+  static iterate(options = {}) {
+    return new ItemIterator(this, options);
+  }
+
+  // See Store#watch(). Example:
+  //   const unwatch = user.photos.watch({}, ({ type, item }) => { ... });
+  static watch(options, listener) {
+    if (typeof options === 'function') {
+      listener = options;
+      options = {};
+    }
+    options = this.injectOriginToQuery(options || {});
+    return this.store.watch(this, options, listener);
+  }
+
+  // Returns the history entries of an item (see the 'history' option of
+  // @model()), from the oldest:
+  //   { key, itemClassName, itemKey, operation, changes, date, source, actor }
+  static async getHistory(item) {
+    item = this.normalizeItem(item);
+    const entries = await this.store.getHistory(this, item.primaryKeyValue);
+    for (const entry of entries) entry.date = new Date(entry.date);
+    return entries;
+  }
+
+  // Saves the item in the state it had after the history entry 'entryKey'.
+  // The history is unwound from the current state, so it works even if the
+  // item has been deleted since.
+  static async revert(item, entryKey, options = {}) {
+    item = this.normalizeItem(item);
+    const entries = await this.getHistory(item);
+    const index = entries.findIndex(entry => entry.key === entryKey);
+    if (index === -1) throw new NotFoundError('$History', entryKey, 'History entry not found');
+    const currentItem = await this.get(item.primaryKeyValue, { errorIfMissing: false, withDeleted: true });
+    const currentInstance = currentItem && currentItem.serialize();
+    const state = unapplyChanges(currentInstance, entries.slice(index + 1));
+    if (!state) {
+      throw new InvalidOperationError(item, 'Cannot revert an item to a state where it does not exist');
+    }
+    if (currentItem) {
+      // the version goes on (see @version())
+      const versionField = currentItem.versionField;
+      if (versionField) state[versionField.name] = currentInstance[versionField.name];
+      item = currentItem;
+      item.replaceValue(state);
+    } else {
+      item = this.store[entries[index].itemClassName].unserialize(state);
+    }
+    return await item.constructor.put(item, options);
+  }
+
+  // Returns a JSON Schema of the serialized items (see src/schema.js)
+  static toJSONSchema() {
+    return makeJSONSchema(this);
+  }
+
   static async findAndDelete(options = {}) {
     options = this.injectOriginToQuery(options);
     // FIXME: 'willDelete' and 'didDelete' event should be emitted for each items
     return await this.store.findAndDelete(this, options);
   }
 
+  // Batch loads the specified relations of several items (avoiding
+  // one store round-trip per item) and populates the relations cache.
+  // The items of HAS_MANY and HAS_MANY_THROUGH relations are available
+  // in the 'includedItems' property of the relation.
+  static async loadRelations(items, names) {
+    if (!Array.isArray(names)) names = [names];
+    if (!items.length) return items;
+    for (const name of names) {
+      const relation = this.prototype.getRelation(name);
+      if (!relation) throw new InvalidRelationError(this.getName(), name);
+      if (relation.type === 'BELONGS_TO') {
+        await this.loadBelongsToRelation(items, relation);
+      } else if (relation.type === 'HAS_ONE' || relation.type === 'HAS_MANY') {
+        await this.loadHasOneOrHasManyRelation(items, relation);
+      } else if (relation.type === 'HAS_MANY_THROUGH') {
+        await this.loadHasManyThroughRelation(items, relation);
+      }
+    }
+    return items;
+  }
+
+  static async loadBelongsToRelation(items, relation) {
+    const { name, foreignKey } = relation;
+    const itemsByClassName = groupBy(items, item => relation.getTargetClassName(item));
+    for (const className of Object.keys(itemsByClassName)) {
+      const classItems = itemsByClassName[className];
+      const keys = uniqueValues(classItems.map(item => item[foreignKey]));
+      if (!keys.length) continue;
+      const relatedItems = await this.store[className].getMany(keys, { errorIfMissing: false });
+      for (const item of classItems) {
+        const relatedItem = relatedItems.find(relatedItem => relatedItem.primaryKeyValue === item[foreignKey]);
+        if (!relatedItem) continue;
+        item.setRelationCache(name, relatedItem);
+      }
+    }
+  }
+
+  static async loadHasOneOrHasManyRelation(items, relation) {
+    const { name, className, foreignKey, typeKey } = relation;
+    // with a polymorphic relation, related items are queried by type
+    const itemsByType = typeKey ? groupBy(items, item => item.constructor.getName()) : { '': items };
+    for (const type of Object.keys(itemsByType)) {
+      const typeItems = itemsByType[type];
+      const keys = uniqueValues(typeItems.map(item => item.primaryKeyValue));
+      const options = {};
+      if (typeKey) options.query = { [typeKey]: type };
+      const relatedItems = await this.store[className].findByKeyValues(foreignKey, keys, options);
+      for (const item of typeItems) {
+        const itemRelatedItems = relatedItems.filter(relatedItem => relatedItem[foreignKey] === item.primaryKeyValue);
+        const origin = { relation, item };
+        for (const relatedItem of itemRelatedItems) relatedItem._origin = origin;
+        if (relation.type === 'HAS_ONE') {
+          if (itemRelatedItems.length) item.setRelationCache(name, itemRelatedItems[0]);
+        } else {
+          item[name].includedItems = itemRelatedItems;
+        }
+      }
+    }
+  }
+
+  static async loadHasManyThroughRelation(items, relation) {
+    const { name, className, throughClassName, foreignKey, otherKey } = relation;
+    const keys = uniqueValues(items.map(item => item.primaryKeyValue));
+    const joinItems = await this.store[throughClassName].findByKeyValues(
+      foreignKey, keys, { order: [foreignKey, otherKey] }
+    );
+    const otherKeys = uniqueValues(joinItems.map(joinItem => joinItem[otherKey]));
+    const relatedItems = otherKeys.length ?
+      await this.store[className].getMany(otherKeys, { errorIfMissing: false }) : [];
+    for (const item of items) {
+      const itemRelatedItems = [];
+      for (const joinItem of joinItems) {
+        if (joinItem[foreignKey] !== item.primaryKeyValue) continue;
+        const relatedItem = relatedItems.find(relatedItem => relatedItem.primaryKeyValue === joinItem[otherKey]);
+        if (relatedItem) itemRelatedItems.push(relatedItem);
+      }
+      item[name].includedItems = itemRelatedItems;
+    }
+  }
+
+  // Finds the items whose 'key' value is one of 'values' with a single
+  // scan of the index between the lowest and the highest value.
+  // Options:
+  //   query: additional query (the index keys should start with it)
+  //   order: index keys following the query. Default: [key].
+  static async findByKeyValues(key, values, { query = {}, order = [key] } = {}) {
+    if (!values.length) return [];
+    const items = [];
+    const options = {
+      query: Object.assign({}, query, { [key]: { $in: values } }),
+      order
+    };
+    await this.forEach(options, function(item) {
+      items.push(item);
+    });
+    return items;
+  }
+
   static async callModel(method, options = {}, body) {
     options = this.injectOriginToQuery(options);
     return await this.store.call(this, undefined, method, options, body);
@@ -201,14 +520,13 @@ export class Model extends TopModel {
     const origin = this._origin;
     if (origin) {
       options = clone(options);
-      if (!options.query) options.query = {};
-      options.query[origin.relation.foreignKey] = origin.item.primaryKeyValue;
+      options.query = Object.assign({}, options.query, origin.relation.makeQuery(origin.item));
     }
     return options;
   }
 
   static normalizeItem(item) {
-    if (!item) throw new Error('key or item parameter is empty');
+    if (!item) throw new InvalidOperationError(undefined, 'key or item parameter is empty');
     if (!(item instanceof this)) {
       item = this.unserialize(item);
     }
@@ -219,7 +537,7 @@ export class Model extends TopModel {
 
   get primaryKeyName() {
     if (!this.primaryKeyField) {
-      throw new Error('Primary key field is missing');
+      throw new DefinitionError('Primary key field is missing');
     }
     return this.primaryKeyField.name;
   }
@@ -238,47 +556,76 @@ export class Model extends TopModel {
   }
 
   defineForeignKeyField(name, type, options = {}, decoratorDescriptor) {
-    this.defineKeyField(name, type, options, decoratorDescriptor);
+    const field = this.defineKeyField(name, type, options, decoratorDescriptor);
+    field.isForeignKey = true;
   }
 
+  // Options:
+  //   generator: how key values are generated:
+  //     'random' (default): random string or number (see 'max' option)
+  //     'sequence': number incremented for each item (see LocalStore)
+  //     'ulid': string sortable by creation time
+  //     'uuid': random UUID string
+  //     A function: called with the item and the field, can be async
   defineKeyField(name, type = String, options = {}, decoratorDescriptor) {
-    if (!(typeof name === 'string' && name)) throw new Error('name parameter is missing');
+    if (!(typeof name === 'string' && name)) throw new DefinitionError('name parameter is missing');
+    const generator = options.generator || 'random';
+    if (typeof generator !== 'function') {
+      if (!KEY_GENERATORS.includes(generator)) throw new DefinitionError('Invalid key generator');
+      if (generator === 'sequence' && type !== Number) {
+        throw new DefinitionError('\'sequence\' key generator requires a Number field');
+      }
+      if ((generator === 'ulid' || generator === 'uuid') && type !== String) {
+        throw new DefinitionError(`'${generator}' key generator requires a String field`);
+      }
+    }
     const fieldOptions = {};
     if (options.defaultValue) fieldOptions.defaultValue = options.defaultValue;
     const field = this.defineField(name, type, fieldOptions, decoratorDescriptor);
     if (options.max) field.maxKeyValue = options.max;
+    field.keyGenerator = generator;
     if (options.isAuto) {
-      this.on('willSave', function() {
+      this.on('willSave', async function() {
         if (this.constructor.store.isLocal) {
-          this.generateKeyValue(field);
+          await this.generateKeyValue(field);
         }
       });
     }
     return field;
   }
 
-  generateKeyValue(field) {
+  async generateKeyValue(field) {
     if (typeof field === 'string') field = this.getField(field);
-    if (!field) throw new Error('Unknown field');
+    if (!field) throw new InvalidOperationError(this, 'Unknown field');
     if (this[field.name]) return; // a value has already been generated
+    const generator = field.keyGenerator || 'random';
     let val;
-    if (field.type === String) {
+    if (typeof generator === 'function') {
+      val = await generator(this, field);
+    } else if (generator === 'sequence') {
+      val = await this.constructor.store.generateSequenceValue();
+    } else if (generator === 'ulid') {
+      val = generateULID();
+    } else if (generator === 'uuid') {
+      val = generateUUID();
+    } else if (field.type === String) {
       val = idgen(16);
     } else if (field.type === Number) {
       const max = field.maxKeyValue || 2000000000;
       val = Math.floor(Math.random() * max) + 1;
     } else {
-      throw new Error('Unsupported key type');
+      throw new DefinitionError('Unsupported key type');
     }
     this[field.name] = val;
   }
 
-  generatePrimaryKeyValue() {
-    this.generateKeyValue(this.primaryKeyField);
+  async generatePrimaryKeyValue() {
+    await this.generateKeyValue(this.primaryKeyField);
   }
 
   defineCreatedOnField(name = 'createdOn', decoratorDescriptor) {
     const field = this.defineField(name, Date, undefined, decoratorDescriptor);
+    this.createdOnField = field;
     this.on('willSave', function() {
       if (this.constructor.store.isLocal) {
         if (!this[name]) this[name] = new Date();
@@ -289,6 +636,7 @@ export class Model extends TopModel {
 
   defineUpdatedOnField(name = 'updatedOn', decoratorDescriptor) {
     const field = this.defineField(name, Date, undefined, decoratorDescriptor);
+    this.updatedOnField = field;
     this.on('willSave', function(options) {
       if (!this.constructor.store.isLocal) return;
       if (options.source === 'computer' || options.source === 'localSynchronizer' || options.source === 'remoteSynchronizer' || options.source === 'archive') return;
@@ -297,6 +645,29 @@ export class Model extends TopModel {
     return field;
   }
 
+  // The version is incremented on every save and checked by the local store
+  // to detect concurrent modifications. Synchronizers and archive imports
+  // keep the version of their source.
+  defineVersionField(name = 'version', decoratorDescriptor) {
+    const field = this.defineField(name, Number, undefined, decoratorDescriptor);
+    this.versionField = field;
+    this.on('willSave', function(options) {
+      if (!this.constructor.store.isLocal) return;
+      if (VERSION_PRESERVING_SOURCES.includes(options.source)) return;
+      const savedVersion = this.saved && this.saved[name];
+      this[name] = (savedVersion || 0) + 1;
+    });
+    return field;
+  }
+
+  // Items having a deletedOn value are excluded from the results of the
+  // store operations, unless the 'withDeleted' option is specified
+  defineDeletedOnField(name = 'deletedOn', decoratorDescriptor) {
+    const field = this.defineField(name, Date, undefined, decoratorDescriptor);
+    this.deletedOnField = field;
+    return field;
+  }
+
   // === Relation definitions ===
 
   getRelation(name) {
@@ -312,6 +683,15 @@ export class Model extends TopModel {
     return relation;
   }
 
+  getRelationCache(name) {
+    return this.hasOwnProperty('_relationsCache') ? this._relationsCache[name] : undefined;
+  }
+
+  setRelationCache(name, value) {
+    if (!this.hasOwnProperty('_relationsCache')) this._relationsCache = {};
+    this._relationsCache[name] = value;
+  }
+
   forEachRelation(fn, thisArg) {
     for (const name in this._relations) {
       const field = this._relations[name];
@@ -319,11 +699,13 @@ export class Model extends TopModel {
     }
   }
 
-  defineHasOneRelation(name, className, foreignKey, decoratorDescriptor) {
+  defineHasOneRelation(name, className, foreignKey, options = {}, decoratorDescriptor) {
     const relation = this.setRelation(name, {
       type: 'HAS_ONE',
       className,
-      foreignKey
+      foreignKey,
+      typeKey: options.typeKey,
+      onDelete: options.onDelete
     });
 
     let descriptor;
@@ -342,7 +724,7 @@ export class Model extends TopModel {
         } else {
           const model = this.constructor.store[className];
           item = new model();
-          item[foreignKey] = this.primaryKeyValue;
+          Object.assign(item, relation.makeQuery(this));
           item._origin = {
             relation,
             item: this
@@ -356,18 +738,16 @@ export class Model extends TopModel {
       Object.defineProperty(this, name, descriptor);
     }
 
-    this.on('willDelete', async function() {
-      if (this.constructor.store.isLocal) {
-        await this[name].delete({ source: 'computer' });
-      }
-    });
+    this.handleDeletePolicies();
   }
 
-  defineHasManyRelation(name, className, foreignKey, decoratorDescriptor) {
+  defineHasManyRelation(name, className, foreignKey, options = {}, decoratorDescriptor) {
     const relation = this.setRelation(name, {
       type: 'HAS_MANY',
       className,
-      foreignKey
+      foreignKey,
+      typeKey: options.typeKey,
+      onDelete: options.onDelete
     });
 
     let descriptor;
@@ -394,19 +774,15 @@ export class Model extends TopModel {
       Object.defineProperty(this, name, descriptor);
     }
 
-    this.on('willDelete', async function() {
-      if (this.constructor.store.isLocal) {
-        const items = await this[name].find();
-        for (const item of items) await item.delete({ source: 'computer' });
-      }
-    });
+    this.handleDeletePolicies();
   }
 
-  defineBelongsToRelation(name, className, foreignKey, decoratorDescriptor) {
+  defineBelongsToRelation(name, className, foreignKey, options = {}, decoratorDescriptor) {
     const relation = this.setRelation(name, {
       type: 'BELONGS_TO',
       className,
-      foreignKey
+      foreignKey,
+      typeKey: options.typeKey
     });
 
     let descriptor;
@@ -418,12 +794,20 @@ export class Model extends TopModel {
     }
     descriptor.get = function() {
       if (!this.hasOwnProperty('_relationsCache')) this._relationsCache = {};
+      // a polymorphic relation is resolved at access time
+      const targetClassName = relation.getTargetClassName(this);
+      if (!targetClassName) return undefined;
       let item = this._relationsCache[name];
+      if (item && relation.isPolymorphic) {
+        const isStale = item.constructor.getName() !== targetClassName ||
+          item.primaryKeyValue !== this[foreignKey];
+        if (isStale) item = undefined;
+      }
       if (!item) {
         if (this._origin && this._origin.relation.foreignKey === foreignKey) {
           item = this._origin.item;
         } else {
-          const model = this.constructor.store[className];
+          const model = this.constructor.store.getModel(targetClassName);
           item = new model(this[foreignKey]);
           item._origin = {
             relation,
@@ -439,6 +823,116 @@ export class Model extends TopModel {
     }
   }
 
+  defineHasManyThroughRelation(name, className, throughClassName, foreignKey, otherKey, options = {}, decoratorDescriptor) {
+    const relation = this.setRelation(name, {
+      type: 'HAS_MANY_THROUGH',
+      className,
+      throughClassName,
+      foreignKey,
+      otherKey,
+      onDelete: options.onDelete
+    });
+
+    let descriptor;
+    if (decoratorDescriptor) {
+      delete decoratorDescriptor.initializer; // TODO: check if this is still required
+      descriptor = decoratorDescriptor;
+    } else {
+      descriptor = {};
+    }
+    descriptor.get = function() {
+      if (!this.hasOwnProperty('_relationsCache')) this._relationsCache = {};
+      let accessor = this._relationsCache[name];
+      if (!accessor) {
+        accessor = new ThroughRelationAccessor(relation, this);
+        this._relationsCache[name] = accessor;
+      }
+      return accessor;
+    };
+    if (!decoratorDescriptor) {
+      Object.defineProperty(this, name, descriptor);
+    }
+
+    // The delete policy applies to the join items, related items are left untouched
+    this.handleDeletePolicies();
+  }
+
+  // Listeners of an event are called concurrently, so a single 'willDelete'
+  // listener handles the delete policies of every relation
+  handleDeletePolicies() {
+    if (this._isHandlingDeletePolicies) return;
+    this._isHandlingDeletePolicies = true;
+    this.on('willDelete', async function(options) {
+      if (this.constructor.store.isLocal) {
+        await this.applyDeletePolicies(options);
+      }
+    });
+  }
+
+  // Called inside the delete transaction of the owner item.
+  // When the owner is purged, related items are purged too.
+  async applyDeletePolicies({ purge } = {}) {
+    const relations = [];
+    this.forEachRelation(function(relation) {
+      if (relation.onDelete && relation.onDelete !== 'none') relations.push(relation);
+    });
+    // restrictions are checked first so that nothing is deleted in vain
+    for (const relation of relations) {
+      if (relation.onDelete === 'restrict') await this.checkDeleteRestriction(relation);
+    }
+    for (const relation of relations) {
+      if (relation.onDelete !== 'restrict') await this.applyDeletePolicy(relation, { purge });
+    }
+  }
+
+  async checkDeleteRestriction(relation) {
+    let count;
+    if (relation.type === 'HAS_MANY_THROUGH') {
+      count = await this[relation.name].count();
+    } else {
+      const model = this.constructor.store[relation.className];
+      count = await model.count({ query: relation.makeQuery(this) });
+    }
+    if (count) throw new DeleteRestrictedError(this, relation);
+  }
+
+  async applyDeletePolicy(relation, { purge } = {}) {
+    const { name, type, className, foreignKey, typeKey, onDelete } = relation;
+    if (type === 'HAS_MANY_THROUGH') {
+      await this[name].clear({ source: 'computer', purge });
+      return;
+    }
+    const model = this.constructor.store[className];
+    const items = await model.find({ query: relation.makeQuery(this), withDeleted: purge });
+    for (const item of items) {
+      if (onDelete === 'cascade') {
+        await item.delete({ source: 'computer', purge });
+      } else { // 'nullify'
+        item[foreignKey] = undefined;
+        if (typeKey) item[typeKey] = undefined;
+        await item.save({ source: 'computer' });
+      }
+    }
+  }
+
+  // === Exposed methods ===
+
+  // Only exposed methods can be called through a server (see StoreServer)
+  exposeMethod(name) {
+    if (!this.hasOwnProperty('_exposedMethods')) {
+      this._exposedMethods = Object.create(this._exposedMethods || null);
+    }
+    this._exposedMethods[name] = true;
+  }
+
+  isExposedMethod(name) {
+    return Boolean(this._exposedMethods && this._exposedMethods[name]);
+  }
+
+  static isExposedMethod(name) {
+    return Model.prototype.isExposedMethod.call(this, name);
+  }
+
   // === Item status ===
 
   get isNew() {
@@ -449,6 +943,17 @@ export class Model extends TopModel {
     return !this.isEqualTo(this.saved);
   }
 
+  // Returns the fields changed since the item was loaded or saved:
+  //   { name: { from: 'Jack', to: 'John' } }
+  // Values are serialized. Every defined field is returned for a new item.
+  getChanges() {
+    return diffInstances(this.saved ? this.saved.serialize() : {}, this.serialize());
+  }
+
+  get isDeleted() {
+    return Boolean(this.deletedOnField && this[this.deletedOnField.name]);
+  }
+
   // === Item operations ===
 
   async load(options = {}) {
@@ -459,10 +964,37 @@ export class Model extends TopModel {
     await this.constructor.put(this, options);
   }
 
+  // Saves only the fields modified since the item was loaded or saved
+  async patch(options) {
+    const changes = this.getChanges();
+    const values = {};
+    for (const name of Object.keys(changes)) values[name] = this[name];
+    return await this.constructor.patch(this, values, options);
+  }
+
   async delete(options) {
     return await this.constructor.delete(this, options);
   }
 
+  async restore(options) {
+    return await this.constructor.restore(this, options);
+  }
+
+  async purge(options) {
+    return await this.constructor.purge(this, options);
+  }
+
+  async getHistory() {
+    return await this.constructor.getHistory(this);
+  }
+
+  async revert(entryKey, options) {
+    const item = await this.constructor.revert(this, entryKey, options);
+    this.replaceValue(item);
+    this.saved = item.saved;
+    return this;
+  }
+
   async call(method, options, body) {
     return await this.constructor.callItem(this, method, options, body);
   }
@@ -491,6 +1023,26 @@ export class Model extends TopModel {
   }
 }
 
+function groupBy(items, fn) {
+  const groups = {};
+  for (const item of items) {
+    const group = fn(item);
+    if (group == null) continue;
+    if (!groups[group]) groups[group] = [];
+    groups[group].push(item);
+  }
+  return groups;
+}
+
+function uniqueValues(values) {
+  const result = [];
+  for (const value of values) {
+    if (value == null) continue;
+    if (!result.includes(value)) result.push(value);
+  }
+  return result;
+}
+
 // === Decorators ===
 
 export function primaryKey(type, options) {
@@ -517,21 +1069,46 @@ export function updatedOn() {
   };
 }
 
-export function hasOne(className, foreignKey) {
+export function version() {
+  return function(target, name, descriptor) {
+    Model.prototype.defineVersionField.call(target, name, descriptor);
+  };
+}
+
+export function deletedOn() {
+  return function(target, name, descriptor) {
+    Model.prototype.defineDeletedOnField.call(target, name, descriptor);
+  };
+}
+
+export function hasOne(className, foreignKey, options) {
+  return function(target, name, descriptor) {
+    Model.prototype.defineHasOneRelation.call(target, name, className, foreignKey, options, descriptor);
+  };
+}
+
+export function hasMany(className, foreignKey, options) {
   return function(target, name, descriptor) {
-    Model.prototype.defineHasOneRelation.call(target, name, className, foreignKey, descriptor);
+    Model.prototype.defineHasManyRelation.call(target, name, className, foreignKey, options, descriptor);
   };
 }
 
-export function hasMany(className, foreignKey) {
+export function belongsTo(className, foreignKey, options) {
   return function(target, name, descriptor) {
-    Model.prototype.defineHasManyRelation.call(target, name, className, foreignKey, descriptor);
+    Model.prototype.defineBelongsToRelation.call(target, name, className, foreignKey, options, descriptor);
   };
 }
 
-export function belongsTo(className, foreignKey) {
+export function hasManyThrough(className, throughClassName, foreignKey, otherKey, options) {
   return function(target, name, descriptor) {
-    Model.prototype.defineBelongsToRelation.call(target, name, className, foreignKey, descriptor);
+    Model.prototype.defineHasManyThroughRelation.call(target, name, className, throughClassName, foreignKey, otherKey, options, descriptor);
+  };
+}
+
+// Can be used on static and instance methods
+export function expose() {
+  return function(target, name) {
+    Model.prototype.exposeMethod.call(target, name);
   };
 }
 
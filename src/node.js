@@ -0,0 +1,7 @@
+'use strict';
+
+// Entry point for Node: the shared modules (see src/index.js) plus
+// the ones depending on Node built-in modules
+export * from './';
+export { StoreServer, createRequestHandler } from './server';
+export { createItemStream } from './item-stream';
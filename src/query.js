@@ -0,0 +1,222 @@
+'use strict';
+
+import { clone } from 'better-clone';
+import { MissingIndexError, InvalidQueryError } from './errors';
+
+// Query operators supported by LocalStore in addition to equality:
+//   { accountNumber: { $gte: 1000, $lt: 2000 } }
+//   { country: { $in: ['France', 'Japan'] } }
+//   { lastName: { $prefix: 'Vi' } }
+export const QUERY_OPERATORS = ['$gt', '$gte', '$lt', '$lte', '$in', '$prefix'];
+
+export function isCondition(value) {
+  if (!(value && typeof value === 'object')) return false;
+  if (Object.getPrototypeOf(value) !== Object.prototype) return false;
+  const operators = Object.keys(value);
+  return operators.length > 0 && operators.every(operator => operator.startsWith('$'));
+}
+
+// Splits a query into equalities ({ country: 'France' }) and
+// conditions ({ accountNumber: { $gte: 1000 } })
+export function splitQuery(query = {}) {
+  const equalities = {};
+  const conditions = {};
+  for (const key of Object.keys(query)) {
+    const value = query[key];
+    if (isCondition(value)) {
+      conditions[key] = normalizeCondition(key, value);
+    } else {
+      equalities[key] = value;
+    }
+  }
+  return { equalities, conditions };
+}
+
+function normalizeCondition(key, condition) {
+  const normalizedCondition = {};
+  for (const operator of Object.keys(condition)) {
+    if (!QUERY_OPERATORS.includes(operator)) {
+      throw new InvalidQueryError(`Unknown query operator '${operator}' (key='${key}')`, key);
+    }
+    let value = condition[operator];
+    if (operator === '$in') {
+      if (!Array.isArray(value)) throw new InvalidQueryError(`'$in' operator requires an array (key='${key}')`, key);
+      value = value.map(normalizeValue);
+    } else if (operator === '$prefix') {
+      if (typeof value !== 'string') throw new InvalidQueryError(`'$prefix' operator requires a string (key='${key}')`, key);
+    } else {
+      value = normalizeValue(value);
+    }
+    normalizedCondition[operator] = value;
+  }
+  return normalizedCondition;
+}
+
+// Index values are made from serialized instances
+function normalizeValue(value) {
+  return value instanceof Date ? value.toJSON() : value;
+}
+
+// Finds, among 'indexes' (arrays of keys), the one able to serve the query
+// and returns a plan:
+//   index: keys of the index
+//   query: the equalities (a prefix of the index)
+//   order: index keys following the equalities
+//   rangeKey: key restricted by the start/end key selectors
+//   conditions: conditions checked with matchConditions()
+//   isExact: false when the key selectors may select items not matching
+//     the conditions (results must then be filtered)
+//   options: options to pass to the instance store
+// The first key following the equalities must be a condition key, so that
+// its range can be selected with a single scan of the index.
+export function makeQueryPlan(className, indexes, options = {}) {
+  const { equalities, conditions } = splitQuery(options.query);
+  const equalityKeys = Object.keys(equalities);
+  const conditionKeys = Object.keys(conditions);
+  let order = options.order;
+  if (order !== undefined && !Array.isArray(order)) order = [order];
+
+  let index, rest;
+  for (const keys of indexes) {
+    const prefix = keys.slice(0, equalityKeys.length);
+    if (!equalityKeys.every(key => prefix.includes(key))) continue;
+    rest = keys.slice(equalityKeys.length);
+    if (conditionKeys.length) {
+      if (!conditionKeys.includes(rest[0])) continue;
+      if (!conditionKeys.every(key => rest.includes(key))) continue;
+    }
+    if ((order || !conditionKeys.length) && rest.join('+') !== (order || []).join('+')) continue;
+    index = keys;
+    break;
+  }
+
+  if (!index) {
+    const queryKeys = equalityKeys.concat(conditionKeys);
+    let suggestedIndex = equalityKeys.concat(order || conditionKeys);
+    for (const key of conditionKeys) {
+      if (!suggestedIndex.includes(key)) suggestedIndex.push(key);
+    }
+    // keys starting with '$' are managed by the store
+    suggestedIndex = suggestedIndex.filter(key => !key.startsWith('$'));
+    throw new MissingIndexError(className, queryKeys, order || [], suggestedIndex);
+  }
+
+  const storeOptions = clone(options);
+  storeOptions.query = equalities;
+  if (rest.length) storeOptions.order = rest;
+  const plan = { index, query: equalities, order: rest, conditions, isExact: true, options: storeOptions };
+  if (!conditionKeys.length) return plan;
+
+  const rangeKey = rest[0];
+  plan.rangeKey = rangeKey;
+  const condition = conditions[rangeKey];
+  if (conditionKeys.length > 1 || (condition.$in && condition.$in.length > 1)) {
+    plan.isExact = false;
+  }
+  setKeySelectors(storeOptions, condition);
+  if (!plan.isExact) delete storeOptions.limit;
+  return plan;
+}
+
+// Key selectors given by the caller (e.g. to continue an iteration)
+// take precedence over the ones deduced from the condition
+function setKeySelectors(options, condition) {
+  const lower = options.reverse ? ['end', 'endBefore'] : ['start', 'startAfter'];
+  const upper = options.reverse ? ['start', 'startAfter'] : ['end', 'endBefore'];
+  const hasLower = lower.some(name => options.hasOwnProperty(name));
+  const hasUpper = upper.some(name => options.hasOwnProperty(name));
+
+  let lowerBound, upperBound;
+  if (condition.$in) {
+    const values = condition.$in.slice().sort(compareValues);
+    lowerBound = { value: values[0], isInclusive: true };
+    upperBound = { value: values[values.length - 1], isInclusive: true };
+  }
+  if (condition.$prefix !== undefined) {
+    lowerBound = { value: condition.$prefix, isInclusive: true };
+    upperBound = { value: condition.$prefix + '\uffff', isInclusive: true };
+  }
+  if (condition.$gte !== undefined) lowerBound = { value: condition.$gte, isInclusive: true };
+  if (condition.$gt !== undefined) lowerBound = { value: condition.$gt, isInclusive: false };
+  if (condition.$lte !== undefined) upperBound = { value: condition.$lte, isInclusive: true };
+  if (condition.$lt !== undefined) upperBound = { value: condition.$lt, isInclusive: false };
+
+  if (lowerBound && !hasLower) {
+    options[lowerBound.isInclusive ? lower[0] : lower[1]] = [lowerBound.value];
+  }
+  if (upperBound && !hasUpper) {
+    options[upperBound.isInclusive ? upper[0] : upper[1]] = [upperBound.value];
+  }
+}
+
+export function matchConditions(instance, conditions) {
+  for (const key of Object.keys(conditions)) {
+    const value = instance[key];
+    const condition = conditions[key];
+    if (value === undefined || value === null) return false;
+    for (const operator of Object.keys(condition)) {
+      const operand = condition[operator];
+      if (operator === '$gt' && !(compareValues(value, operand) > 0)) return false;
+      if (operator === '$gte' && !(compareValues(value, operand) >= 0)) return false;
+      if (operator === '$lt' && !(compareValues(value, operand) < 0)) return false;
+      if (operator === '$lte' && !(compareValues(value, operand) <= 0)) return false;
+      if (operator === '$in' && !operand.includes(value)) return false;
+      if (operator === '$prefix' && !(typeof value === 'string' && value.startsWith(operand))) return false;
+    }
+  }
+  return true;
+}
+
+// Same order as the index: numbers before strings
+function compareValues(a, b) {
+  if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+// Returns a description of the plan that can be serialized
+export function explainQueryPlan(className, plan) {
+  const explanation = { className, index: plan.index, query: plan.query, order: plan.order };
+  if (plan.rangeKey) {
+    explanation.rangeKey = plan.rangeKey;
+    explanation.conditions = plan.conditions;
+    for (const name of ['start', 'startAfter', 'end', 'endBefore']) {
+      if (plan.options.hasOwnProperty(name)) explanation[name] = plan.options[name];
+    }
+    explanation.isFiltered = !plan.isExact;
+  }
+  return explanation;
+}
+
+// A cursor is an opaque string encoding the position of an item in the
+// index used by a query: the values of the order keys and the primary key
+export function encodeCursor(plan, instance, key) {
+  const position = plan.order.map(orderKey => instance[orderKey]);
+  position.push(key);
+  const json = JSON.stringify({ index: plan.index, position });
+  return encodeBase64(json);
+}
+
+export function decodeCursor(plan, cursor) {
+  let json;
+  try {
+    json = JSON.parse(decodeBase64(cursor));
+  } catch (err) {
+    throw new InvalidQueryError('Invalid cursor');
+  }
+  if (!(json && Array.isArray(json.position))) throw new InvalidQueryError('Invalid cursor');
+  if (JSON.stringify(json.index) !== JSON.stringify(plan.index)) {
+    throw new InvalidQueryError('Cursor does not match the query');
+  }
+  return json.position;
+}
+
+// btoa() and atob() (available in browsers and in Node >= 16) handle
+// Latin-1 strings only, so the JSON is converted from and to UTF-8
+function encodeBase64(str) {
+  return btoa(unescape(encodeURIComponent(str)));
+}
+
+function decodeBase64(str) {
+  return decodeURIComponent(escape(atob(str)));
+}
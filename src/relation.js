@@ -1,25 +1,201 @@
 'use strict';
 
-const SUPPORTED_TYPES = ['HAS_ONE', 'HAS_MANY', 'BELONGS_TO'];
+import { clone } from 'better-clone';
+import { DefinitionError, InvalidRelationError } from './errors';
+
+const SUPPORTED_TYPES = ['HAS_ONE', 'HAS_MANY', 'BELONGS_TO', 'HAS_MANY_THROUGH'];
+const SUPPORTED_DELETE_POLICIES = ['cascade', 'nullify', 'restrict', 'none'];
 
 export class Relation {
-  constructor(name, { type, className, foreignKey } = {}) {
+  // Options:
+  //   typeKey: name of the field storing the class name of the related
+  //     item (polymorphic relations). With BELONGS_TO relations, 'className'
+  //     can then be an array of allowed class names.
+  //   onDelete: what to do with the related items when the owner is deleted
+  //     ('cascade', 'nullify', 'restrict' or 'none'). Default: 'cascade'.
+  //     With HAS_MANY_THROUGH relations, it applies to the join items.
+  constructor(name, { type, className, foreignKey, typeKey, throughClassName, otherKey, onDelete } = {}) {
     if (typeof name !== 'string' || !name) {
-      throw new Error('name parameter is missing');
+      throw new DefinitionError('name parameter is missing');
     }
     if (!(className)) {
-      throw new Error('className parameter is missing');
+      throw new DefinitionError('className parameter is missing');
     }
     if (!(typeof foreignKey === 'string' && foreignKey)) {
-      throw new Error('foreignKey parameter is missing');
+      throw new DefinitionError('foreignKey parameter is missing');
+    }
+    if (!type) throw new DefinitionError('type parameter is missing');
+    if (!SUPPORTED_TYPES.includes(type)) throw new DefinitionError('Invalid relation type');
+    if (typeKey !== undefined && !(typeof typeKey === 'string' && typeKey)) {
+      throw new DefinitionError('Invalid typeKey parameter');
+    }
+    if (Array.isArray(className)) {
+      if (type !== 'BELONGS_TO') {
+        throw new DefinitionError('Only BELONGS_TO relations can have several class names');
+      }
+      if (!typeKey) throw new DefinitionError('typeKey parameter is missing');
+      if (!className.length) throw new DefinitionError('className parameter is missing');
+    }
+    if (onDelete !== undefined) {
+      if (type === 'BELONGS_TO') {
+        throw new DefinitionError('onDelete option is not supported by BELONGS_TO relations');
+      }
+      if (!SUPPORTED_DELETE_POLICIES.includes(onDelete)) {
+        throw new DefinitionError('Invalid onDelete option');
+      }
+    }
+    if (type === 'HAS_MANY_THROUGH') {
+      if (onDelete === 'nullify') {
+        throw new DefinitionError('HAS_MANY_THROUGH relations cannot use the \'nullify\' delete policy');
+      }
+      if (typeKey) throw new DefinitionError('HAS_MANY_THROUGH relations cannot be polymorphic');
+      if (!(typeof throughClassName === 'string' && throughClassName)) {
+        throw new DefinitionError('throughClassName parameter is missing');
+      }
+      if (!(typeof otherKey === 'string' && otherKey)) {
+        throw new DefinitionError('otherKey parameter is missing');
+      }
     }
-    if (!type) throw new Error('type parameter is missing');
-    if (!SUPPORTED_TYPES.includes(type)) throw new Error('Invalid relation type');
 
     this.name = name;
     this.type = type;
     if (className) this.className = className;
     this.foreignKey = foreignKey;
+    if (typeKey) this.typeKey = typeKey;
+    if (throughClassName) this.throughClassName = throughClassName;
+    if (otherKey) this.otherKey = otherKey;
+    if (type !== 'BELONGS_TO') this.onDelete = onDelete || 'cascade';
+  }
+
+  get isPolymorphic() {
+    return Boolean(this.typeKey);
+  }
+
+  // Returns the class name of the item targeted by a BELONGS_TO relation
+  getTargetClassName(item) {
+    if (!this.isPolymorphic) return this.className;
+    const className = item[this.typeKey];
+    if (!className) return undefined;
+    const classNames = Array.isArray(this.className) ? this.className : [this.className];
+    if (!classNames.includes(className)) {
+      throw new InvalidRelationError(
+        item.constructor.getName(), this.name, `Class '${className}' is not allowed in relation '${this.name}'`
+      );
+    }
+    return className;
+  }
+
+  // Returns the values identifying the items related to 'item' through
+  // a HAS_ONE or HAS_MANY relation
+  makeQuery(item) {
+    const query = {};
+    if (this.typeKey) query[this.typeKey] = item.constructor.getName();
+    query[this.foreignKey] = item.primaryKeyValue;
+    return query;
+  }
+}
+
+// Gives access to the items related to 'item' through a join model.
+// The join model should be indexed on [foreignKey, otherKey].
+export class ThroughRelationAccessor {
+  constructor(relation, item) {
+    this.relation = relation;
+    this.item = item;
+  }
+
+  get store() {
+    return this.item.constructor.store;
+  }
+
+  // Options are applied to the join items query (e.g. 'limit')
+  async find(options = {}) {
+    const { className, otherKey } = this.relation;
+    const joinItems = await this.findJoinItems(this.store, undefined, options);
+    const keys = joinItems.map(joinItem => joinItem[otherKey]);
+    const model = this.store[className];
+    const items = await model.getMany(keys, { errorIfMissing: false });
+    // getMany() doesn't guarantee the order of the results
+    return keys.map(key => items.find(item => item.primaryKeyValue === key)).filter(item => item);
+  }
+
+  // The cursor is a position in the join items
+  async paginate(options = {}) {
+    const { className, throughClassName, otherKey } = this.relation;
+    options = this.injectKeysToQuery(options);
+    const page = await this.store[throughClassName].paginate(options);
+    const keys = page.items.map(joinItem => joinItem[otherKey]);
+    const items = await this.store[className].getMany(keys, { errorIfMissing: false });
+    page.items = keys.map(key => items.find(item => item.primaryKeyValue === key)).filter(item => item);
+    return page;
+  }
+
+  async count(options = {}) {
+    const { throughClassName } = this.relation;
+    options = this.injectKeysToQuery(options);
+    return await this.store[throughClassName].count(options);
+  }
+
+  // Creates the join item. If 'otherItem' is a new item (not just a key),
+  // it is saved in the same transaction.
+  async add(otherItem, options = {}) {
+    const { className, throughClassName, foreignKey, otherKey } = this.relation;
+    const isKey = typeof otherItem === 'string' || typeof otherItem === 'number';
+    otherItem = this.store[className].normalizeItem(otherItem);
+    await this.store.transaction(async function(transactionStore) {
+      if (!isKey && otherItem.isNew) {
+        const transactionItem = await transactionStore[className].put(otherItem.clone(), options);
+        otherItem.replaceValue(transactionItem);
+        otherItem.saved = transactionItem.saved;
+      }
+      const joinItems = await this.findJoinItems(transactionStore, otherItem, { limit: 1 });
+      if (joinItems.length) return;
+      const joinItem = new transactionStore[throughClassName]();
+      joinItem[foreignKey] = this.item.primaryKeyValue;
+      joinItem[otherKey] = otherItem.primaryKeyValue;
+      await joinItem.save(options);
+    }.bind(this));
+    return otherItem;
+  }
+
+  // Deletes the join item(s) but not 'otherItem'
+  async remove(otherItem, options = {}) {
+    const { className } = this.relation;
+    otherItem = this.store[className].normalizeItem(otherItem);
+    let hasBeenRemoved = false;
+    await this.store.transaction(async function(transactionStore) {
+      const joinItems = await this.findJoinItems(transactionStore, otherItem);
+      for (const joinItem of joinItems) {
+        if (await joinItem.delete(options)) hasBeenRemoved = true;
+      }
+    }.bind(this));
+    return hasBeenRemoved;
+  }
+
+  // Deletes all the join items
+  async clear(options = {}) {
+    await this.store.transaction(async function(transactionStore) {
+      const joinItems = await this.findJoinItems(transactionStore);
+      for (const joinItem of joinItems) await joinItem.delete(options);
+    }.bind(this));
+  }
+
+  async findJoinItems(store, otherItem, options = {}) {
+    const { throughClassName } = this.relation;
+    options = this.injectKeysToQuery(options, otherItem);
+    return await store[throughClassName].find(options);
+  }
+
+  injectKeysToQuery(options, otherItem) {
+    const { foreignKey, otherKey } = this.relation;
+    options = clone(options);
+    if (!options.query) options.query = {};
+    options.query[foreignKey] = this.item.primaryKeyValue;
+    if (otherItem) {
+      options.query[otherKey] = otherItem.primaryKeyValue;
+    } else if (!options.order) {
+      options.order = [otherKey]; // makes the [foreignKey, otherKey] index usable
+    }
+    return options;
   }
 }
 
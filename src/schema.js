@@ -0,0 +1,145 @@
+'use strict';
+
+import { TopModel } from 'top-model';
+
+const JSON_SCHEMA_VERSION = 'http://json-schema.org/draft-07/schema#';
+
+// Returns the keys of an index definition ('lastName', ['lastName',
+// 'firstName'], { properties: [...], projection: [...] },...). Computed
+// properties are named after their function.
+export function getIndexKeys(index) {
+  let properties = index;
+  if (typeof index === 'object' && !Array.isArray(index)) properties = index.properties;
+  if (!Array.isArray(properties)) properties = [properties];
+  return properties.map(property => {
+    return typeof property === 'function' ? property.displayName || property.name : property;
+  });
+}
+
+// Returns a plain object describing a model registration:
+//   name, classNames, primaryKey
+//   fields: [{ name, type, role, keyGenerator, isPrimaryKey, isForeignKey, validators }]
+//   relations: [{ name, type, className, foreignKey,... }]
+//   indexes: arrays of keys
+//   unique: arrays of keys
+//   history: true if the history is enabled
+export function describeModel(registration) {
+  const model = registration.model;
+  const prototype = model.prototype;
+  const description = {
+    name: model.getName(),
+    classNames: model.getClassNames()
+  };
+  if (prototype.primaryKeyField) description.primaryKey = prototype.primaryKeyField.name;
+
+  description.fields = [];
+  prototype.forEachField(function(field) {
+    description.fields.push(describeField(prototype, field));
+  });
+
+  description.relations = [];
+  prototype.forEachRelation(function(relation) {
+    const relationDescription = { name: relation.name, type: relation.type };
+    for (const name of ['className', 'foreignKey', 'typeKey', 'throughClassName', 'otherKey', 'onDelete']) {
+      if (relation[name] !== undefined) relationDescription[name] = relation[name];
+    }
+    description.relations.push(relationDescription);
+  });
+
+  description.indexes = (registration.indexes || []).map(getIndexKeys);
+  if (registration.unique) description.unique = registration.unique;
+  if (registration.history) description.history = true;
+  return description;
+}
+
+function describeField(prototype, field) {
+  const description = { name: field.name, type: getTypeName(field.type) };
+  const role = getFieldRole(prototype, field);
+  if (role) description.role = role;
+  if (field === prototype.primaryKeyField) description.isPrimaryKey = true;
+  if (field.isForeignKey) description.isForeignKey = true;
+  if (field.keyGenerator) {
+    description.keyGenerator = typeof field.keyGenerator === 'function' ? 'custom' : field.keyGenerator;
+  }
+  const validators = getValidatorNames(field);
+  if (validators.length) description.validators = validators;
+  return description;
+}
+
+function getTypeName(type) {
+  if (TopModel.isPrototypeOf(type)) return type.getName();
+  return type.displayName || type.name;
+}
+
+// Fields managed by the model (see @createdOn(), @updatedOn(),...)
+function getFieldRole(prototype, field) {
+  for (const role of ['createdOn', 'updatedOn', 'version', 'deletedOn']) {
+    if (prototype[role + 'Field'] === field) return role;
+  }
+  return undefined;
+}
+
+// Standard validators are named after their definition ('filled',
+// 'minLength(3)',...). Custom validators are named after their function.
+function getValidatorNames(field) {
+  const validators = field.getValidators() || [];
+  return validators.map(validator => {
+    let name = validator.displayName || validator.name || 'custom';
+    if (name.startsWith('bound ')) name = name.substr(6);
+    return name;
+  });
+}
+
+// Returns a JSON Schema (draft-07) validating the serialized items of a model
+export function makeJSONSchema(model) {
+  const schema = makeObjectSchema(model);
+  return Object.assign({ $schema: JSON_SCHEMA_VERSION, title: model.getName() }, schema);
+}
+
+function makeObjectSchema(model) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  model.prototype.forEachField(function(field) {
+    const property = makeTypeSchema(field.type);
+    for (const validator of getValidatorNames(field)) {
+      if (applyValidator(property, validator)) required.push(field.name);
+    }
+    schema.properties[field.name] = property;
+  });
+  if (required.length) schema.required = required;
+  return schema;
+}
+
+function makeTypeSchema(type) {
+  if (type === String) return { type: 'string' };
+  if (type === Number) return { type: 'number' };
+  if (type === Boolean) return { type: 'boolean' };
+  if (type === Date) return { type: 'string', format: 'date-time' };
+  if (type === Array) return { type: 'array' };
+  if (type === Object) return { type: 'object' };
+  if (TopModel.isPrototypeOf(type)) return makeObjectSchema(type);
+  return {}; // the serialized form of other types is unknown
+}
+
+// Translates a standard validator into JSON Schema keywords.
+// Returns true if the validator makes the property required.
+function applyValidator(property, validator) {
+  const matches = validator.match(/^([a-z]+)(?:\((.+)\))?$/i);
+  if (!matches) return false;
+  const [, name, params] = matches;
+  if (name === 'required') return true;
+  if (name === 'filled') {
+    if (property.type === 'string') property.minLength = 1;
+    if (property.type === 'array') property.minItems = 1;
+    return true;
+  }
+  if (name === 'positive') property.exclusiveMinimum = 0;
+  if (name === 'negative') property.exclusiveMaximum = 0;
+  if (name === 'minLength' && params) property.minLength = Number(params);
+  if (name === 'maxLength' && params) property.maxLength = Number(params);
+  if (name === 'match' && params) {
+    const index = params.lastIndexOf('/');
+    if (params.startsWith('/') && index > 0) property.pattern = params.slice(1, index);
+  }
+  return false;
+}
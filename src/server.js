@@ -0,0 +1,248 @@
+'use strict';
+
+import { parse as parseURL } from 'url';
+import { clone } from 'better-clone';
+import {
+  ObjectLayerError, NotFoundError, AlreadyExistsError, ValidationError, InvalidRelationError,
+  InvalidQueryError, InvalidOperationError, DeleteRestrictedError, ConflictError, UniqueConstraintError
+} from './errors';
+import { VERSION_PRESERVING_SOURCES } from './model';
+
+// Options a client can pass to the write operations. Others (such as
+// 'validate') are dropped.
+const PUT_OPTIONS = ['source', 'expectedVersion', 'errorIfExists'];
+const DELETE_OPTIONS = ['source', 'errorIfMissing', 'purge'];
+
+// Serves the models of a store through the URLs expected by RemoteStore
+
+export class StoreServer {
+  // Options:
+  //   prefix: path where the store is mounted. Example: '/api'.
+  //   allowVersionPreservingSources: accept the sources skipping the
+  //     version check (e.g. 'remoteSynchronizer'). Default: false.
+  //   allowPurge: accept the 'purge' option of delete. Default: false.
+  // Only enable these options for trusted clients.
+  constructor(store, options = {}) {
+    if (!store) throw new Error('store parameter is missing');
+    this.store = store;
+    this.prefix = (options.prefix || '').replace(/\/+$/, '');
+    this.allowVersionPreservingSources = Boolean(options.allowVersionPreservingSources);
+    this.allowPurge = Boolean(options.allowPurge);
+    this.log = options.log || store.log;
+  }
+
+  async handleRequest(req, res) {
+    let status = 200;
+    let result;
+    try {
+      const { pathname, query } = parseURL(req.url, true);
+      if (!pathname.startsWith(this.prefix + '/')) {
+        throw createError(404, 'Path not found');
+      }
+      const path = pathname.substr(this.prefix.length + 1).split('/').map(decodeURIComponent);
+      const options = this.parseOptions(query);
+      const body = await this.readBody(req);
+      result = await this.route(req.method, path, options, body);
+    } catch (err) {
+      status = err.status || getErrorStatus(err);
+      if (status === 500 && this.log) this.log.error(err.stack || err.message);
+      // typed errors are rebuilt by RemoteStore from their JSON representation
+      result = err instanceof ObjectLayerError ? err.toJSON() : { message: err.message };
+    }
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(result === undefined ? null : result));
+  }
+
+  async route(method, path, options, body) {
+    const [modelName, key, itemMethod, ...rest] = path;
+    if (!modelName || rest.length) throw createError(404, 'Path not found');
+    if (!this.store.getModelRegistration(modelName)) {
+      throw createError(404, `Model '${modelName}' not found`);
+    }
+    const model = this.store.getModel(modelName);
+
+    if (!key) {
+      if (method === 'GET') {
+        if (options.explain) return await model.find(options);
+        const items = await model.find(options);
+        return items.map(item => makeResult(item, options.include));
+      } else if (method === 'POST') {
+        const putOptions = this.filterWriteOptions(options, PUT_OPTIONS);
+        const item = await model.put(model.unserialize(body), putOptions);
+        return makeResult(item);
+      } else if (method === 'DELETE') {
+        return await model.findAndDelete(options);
+      }
+      throw createError(405, 'Method not allowed');
+    }
+
+    if (key.startsWith('$')) {
+      return await this.callModel(model, method, key.substr(1), options, body);
+    }
+
+    if (itemMethod) {
+      const item = await model.get(key);
+      if (!item.isExposedMethod(itemMethod)) {
+        throw createError(404, `Method '${itemMethod}' not found`);
+      }
+      return await item[itemMethod](options, body);
+    }
+
+    if (method === 'GET') {
+      const item = await model.get(key, options);
+      return item ? makeResult(item, options.include) : null;
+    } else if (method === 'PUT') {
+      const putOptions = this.filterWriteOptions(options, PUT_OPTIONS);
+      return makeResult(await this.putItem(model, key, putOptions, body));
+    } else if (method === 'DELETE') {
+      return await model.delete(key, this.filterWriteOptions(options, DELETE_OPTIONS));
+    }
+    throw createError(405, 'Method not allowed');
+  }
+
+  async callModel(model, method, name, options, body) {
+    if (name === 'count' && method === 'GET') {
+      return await model.count(options);
+    } else if (name === 'paginate' && method === 'GET') {
+      const page = await model.paginate(options);
+      page.items = page.items.map(item => makeResult(item, options.include));
+      return page;
+    } else if (name === 'explain' && method === 'GET') {
+      return await model.explain(options);
+    } else if (name === 'getHistory' && method === 'GET') {
+      return await this.store.getHistory(model, options.key);
+    } else if (name === 'getMany' && method === 'GET') {
+      options = clone(options);
+      const keys = options.keys || [];
+      delete options.keys;
+      const items = await model.getMany(keys, options);
+      return items.map(item => makeResult(item, options.include));
+    }
+    if (!model.isExposedMethod(name)) {
+      throw createError(404, `Method '${name}' not found`);
+    }
+    return await model[name](options, body);
+  }
+
+  async putItem(model, key, options, body) {
+    options = clone(options);
+    const errorIfExists = options.errorIfExists;
+    delete options.errorIfExists;
+    const item = await model.get(key, { errorIfMissing: false });
+    if (!item) {
+      const newItem = model.unserialize(body);
+      newItem.primaryKeyValue = key;
+      return await model.put(newItem, options);
+    }
+    if (errorIfExists) throw new AlreadyExistsError(model.getName(), key);
+    const versionField = item.versionField;
+    if (versionField && !options.hasOwnProperty('expectedVersion')) {
+      // the client sends the version it has loaded
+      options.expectedVersion = body[versionField.name];
+    }
+    item.replaceValue(body);
+    item.primaryKeyValue = key;
+    return await model.put(item, options);
+  }
+
+  filterWriteOptions(options, names) {
+    const filteredOptions = {};
+    for (const name of names) {
+      if (options.hasOwnProperty(name)) filteredOptions[name] = options[name];
+    }
+    const source = filteredOptions.source;
+    if (VERSION_PRESERVING_SOURCES.includes(source) && !this.allowVersionPreservingSources) {
+      throw createError(403, `Source '${source}' is not allowed`);
+    }
+    if (filteredOptions.purge && !this.allowPurge) {
+      throw createError(403, 'Option \'purge\' is not allowed');
+    }
+    return filteredOptions;
+  }
+
+  parseOptions(query) {
+    const options = {};
+    for (const name of Object.keys(query)) {
+      try {
+        options[name] = JSON.parse(query[name]);
+      } catch (err) {
+        throw createError(400, `Option '${name}' is invalid`);
+      }
+    }
+    return options;
+  }
+
+  async readBody(req) {
+    if (req.body !== undefined) return req.body; // already parsed by a middleware
+    const data = await new Promise(function(resolve, reject) {
+      let data = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => data += chunk);
+      req.on('end', () => resolve(data));
+      req.on('error', reject);
+    });
+    if (!data) return undefined;
+    try {
+      return JSON.parse(data);
+    } catch (err) {
+      throw createError(400, 'Request body is invalid');
+    }
+  }
+}
+
+// Returns a (req, res) function that can be passed to http.createServer()
+export function createRequestHandler(store, options) {
+  const server = new StoreServer(store, options);
+  return function(req, res) {
+    server.handleRequest(req, res);
+  };
+}
+
+// With the 'include' option, the related items loaded by the model
+// are added (see RemoteStore#setIncludedItems())
+function makeResult(item, include) {
+  const result = {
+    classes: item.constructor.getClassNames(),
+    key: item.primaryKeyValue,
+    instance: item.serialize()
+  };
+  if (include) {
+    result.included = {};
+    for (const name of Array.isArray(include) ? include : [include]) {
+      const relation = item.getRelation(name);
+      if (relation.type === 'HAS_MANY' || relation.type === 'HAS_MANY_THROUGH') {
+        result.included[name] = item[name].includedItems.map(relatedItem => makeResult(relatedItem));
+      } else {
+        const relatedItem = item.getRelationCache(name);
+        result.included[name] = relatedItem ? makeResult(relatedItem) : null;
+      }
+    }
+  }
+  return result;
+}
+
+function createError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function getErrorStatus(err) {
+  if (err instanceof NotFoundError) return 404;
+  if (err instanceof ValidationError) return 400;
+  if (err instanceof InvalidRelationError) return 400;
+  if (err instanceof InvalidQueryError) return 400;
+  if (err instanceof InvalidOperationError) return 400;
+  if (err instanceof AlreadyExistsError) return 409;
+  if (err instanceof DeleteRestrictedError) return 409;
+  if (err instanceof ConflictError) return 409;
+  if (err instanceof UniqueConstraintError) return 409;
+  // errors thrown by other libraries
+  if (/not found/i.test(err.message)) return 404;
+  if (/already exist/i.test(err.message)) return 409;
+  if (/validation failed/i.test(err.message)) return 400;
+  return 500;
+}
+
+export default StoreServer;
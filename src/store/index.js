@@ -1,34 +1,111 @@
 'use strict';
 
 import { EventEmitterMixin } from 'event-emitter-mixin';
+import { DefinitionError, ModelNotFoundError } from '../errors';
+import { splitQuery, matchConditions } from '../query';
+import { describeModel } from '../schema';
+
+// Operations going through the middlewares (see use()), with the names
+// under which their parameters are exposed to the middlewares
+const OPERATIONS = {
+  get: ['item', 'options'],
+  put: ['item', 'options'],
+  delete: ['item', 'options'],
+  getMany: ['items', 'options'],
+  find: ['model', 'options'],
+  count: ['model', 'options'],
+  forEach: ['model', 'options', 'fn', 'thisArg'],
+  findAndDelete: ['model', 'options'],
+  paginate: ['model', 'options'],
+  explain: ['model', 'options'],
+  transaction: ['fn']
+};
 
 export class Store extends EventEmitterMixin() {
   constructor(options = {}) {
     super();
 
-    if (!options.name) throw new Error('Store name is missing');
-    if (!options.url) throw new Error('Store URL is missing');
+    if (!options.name) throw new DefinitionError('Store name is missing');
+    if (!options.url) throw new DefinitionError('Store URL is missing');
 
     this.context = options.context;
     this.name = options.name;
     this.url = options.url;
     this.log = options.log || (this.context && this.context.log);
+    this.isUsingIdentityMap = Boolean(options.identityMap);
 
     this.root = this;
+
+    for (const operation of Object.keys(OPERATIONS)) {
+      const method = this[operation];
+      if (typeof method !== 'function') continue;
+      this[operation] = function(...args) {
+        if (!this._middlewares) return method.apply(this, args);
+        return this.runMiddlewares(operation, method, args);
+      };
+    }
   }
 
+  // === Middlewares ====
+
+  // 'plugin' is either an object with a plug(store) method or a middleware:
+  //   store.use(async function(context, next) {
+  //     // context: { operation, store, model, item, items, options,... }
+  //     const result = await next();
+  //     return result;
+  //   });
+  // Middlewares run around every call to an operation of the store (see
+  // OPERATIONS), including the calls made by the store itself (e.g. the
+  // find() of the unique constraints check). They are called in the order
+  // they were added, each one wrapping the following ones. A middleware can
+  // rewrite the context before calling next(), post-process the result,
+  // or return a result without calling next().
   use(plugin) {
+    if (typeof plugin === 'function') {
+      if (!this.hasOwnProperty('_middlewares')) {
+        this._middlewares = (this._middlewares || []).slice();
+      }
+      this._middlewares.push(plugin);
+      return;
+    }
     plugin.plug(this);
   }
 
+  async runMiddlewares(operation, method, args) {
+    const parameterNames = OPERATIONS[operation];
+    const context = { operation, store: this };
+    parameterNames.forEach((name, index) => context[name] = args[index]);
+    if (parameterNames.includes('options') && !context.options) context.options = {};
+    if (!context.model) {
+      if (context.item) context.model = context.item.constructor;
+      else if (context.items && context.items.length) context.model = context.items[0].constructor;
+    }
+    const middlewares = this._middlewares;
+    const dispatch = async index => {
+      if (index === middlewares.length) {
+        return await method.apply(this, parameterNames.map(name => context[name]));
+      }
+      return await middlewares[index](context, () => dispatch(index + 1));
+    };
+    return await dispatch(0);
+  }
+
   getModelRegistration(name) {
     return this._modelRegistrations && this._modelRegistrations[name];
   }
 
   setModelRegistration(name, model, options = {}) {
-    if (!model) throw new Error('model parameter is missing');
+    if (!model) throw new DefinitionError('model parameter is missing');
     const registration = { name, model };
     if (options.indexes) registration.indexes = options.indexes;
+    // records every put and delete in the store history (see Model.getHistory())
+    if (options.history) registration.history = true;
+    if (options.unique) {
+      // Example: ['email', ['lastName', 'firstName']]
+      let unique = options.unique;
+      if (!Array.isArray(unique)) unique = [unique];
+      registration.unique = unique.map(keys => Array.isArray(keys) ? keys : [keys]);
+    }
     if (!this.hasOwnProperty('_modelRegistrations')) {
       this._modelRegistrations = Object.create(this._modelRegistrations || null);
     }
@@ -66,7 +143,7 @@ export class Store extends EventEmitterMixin() {
     if (cache._modelCache[name]) return cache._modelCache[name];
     const registration = this.getModelRegistration(name);
     if (!registration) {
-      throw new Error(`Model '${name}' not found`);
+      throw new ModelNotFoundError(name);
     }
     const model = class extends registration.model {};
     model.setName(registration.model.getName());
@@ -75,6 +152,15 @@ export class Store extends EventEmitterMixin() {
     return model;
   }
 
+  // Describes every registered model (see describeModel() in src/schema.js)
+  describeSchema() {
+    const models = [];
+    this.forEachModelRegistration(function(registration) {
+      models.push(describeModel(registration));
+    });
+    return { name: this.name, models };
+  }
+
   getRootModel() {
     if (this._rootModel) return this._rootModel;
     let rootModel;
@@ -82,17 +168,166 @@ export class Store extends EventEmitterMixin() {
       const classNames = registration.model.getClassNames();
       if (classNames.length === 1) { // TODO: maybe there is a better way
         if (rootModel) {
-          throw new Error('More than one root model found');
+          throw new DefinitionError('More than one root model found');
         }
         rootModel = registration.model;
       }
     });
     if (!rootModel) {
-      throw new Error('Root model not found');
+      throw new DefinitionError('Root model not found');
     }
     this.root._rootModel = rootModel;
     return rootModel;
   }
+
+  // === Identity map ====
+
+  // With the 'identityMap' option, the items returned for the same class
+  // and key are the same instances, and loading an item again updates
+  // the existing instance. Every scope (see scope()) and every transaction
+  // has its own identity map.
+  get identityMap() {
+    if (!this.isUsingIdentityMap) return undefined;
+    if (!this.hasOwnProperty('_identityMap')) this._identityMap = new Map();
+    return this._identityMap;
+  }
+
+  // Returns the instance of the identity map having the class and key
+  // of 'item', after updating it with the values of 'item'
+  identifyItem(item) {
+    const identityMap = this.identityMap;
+    if (!identityMap) return item;
+    const id = item.constructor.getName() + '#' + item.primaryKeyValue;
+    const existingItem = identityMap.get(id);
+    if (!existingItem) {
+      identityMap.set(id, item);
+      return item;
+    }
+    if (existingItem !== item) {
+      existingItem.replaceValue(item);
+      if (item.saved) existingItem.saved = item.saved;
+    }
+    return existingItem;
+  }
+
+  forgetItem(item) {
+    const identityMap = this.identityMap;
+    if (!identityMap) return;
+    identityMap.delete(item.constructor.getName() + '#' + item.primaryKeyValue);
+  }
+
+  clearIdentityMap() {
+    if (this.hasOwnProperty('_identityMap')) this._identityMap.clear();
+  }
+
+  // Returns a view of the store with its own models and identity map,
+  // for example to isolate the items loaded while handling a request.
+  // Listeners added to a scope (see watch()) only see its changes.
+  scope({ identityMap = true } = {}) {
+    const scope = Object.create(this);
+    scope.root = scope;
+    scope.isUsingIdentityMap = identityMap;
+    return scope;
+  }
+
+  // === Watching ====
+
+  // Calls listener({ type, item }) when an item of 'model' matching
+  // options.query is saved or deleted through this store:
+  //   'added': the item is new or starts matching the query
+  //   'updated': the item was already matching the query
+  //   'removed': the item is deleted or stops matching the query
+  // An item deleted by key only (without being loaded) cannot be checked
+  // against the query, so 'removed' is always delivered for it.
+  // Changes made inside a transaction are delivered after the commit.
+  // Errors thrown by the listener are logged (see afterCommit()).
+  // Returns a function removing the listener.
+  watch(model, options = {}, listener) {
+    if (typeof listener !== 'function') throw new Error('listener parameter is missing');
+    const root = this.root;
+    const className = model.getName();
+    const matches = makeMatcher(model, options);
+
+    function notify(store, type, item, instance) {
+      const itemModel = root.getModel(item.constructor.getName());
+      return store.afterCommit(function() {
+        return listener({ type, item: itemModel.unserialize(instance) });
+      });
+    }
+
+    function didPut(item) {
+      if (!item.constructor.getClassNames().includes(className)) return undefined;
+      const instance = item.serialize();
+      const isMatching = matches(instance);
+      const wasMatching = Boolean(item.saved) && matches(item.saved.serialize());
+      let type;
+      if (isMatching) type = wasMatching ? 'updated' : 'added';
+      else if (wasMatching) type = 'removed';
+      else return undefined;
+      return notify(this, type, item, instance);
+    }
+
+    function didDelete(item) {
+      if (!item.constructor.getClassNames().includes(className)) return undefined;
+      const instance = item.saved ? item.saved.serialize() : item.serialize();
+      if (item.saved && !matches(instance)) return undefined;
+      return notify(this, 'removed', item, instance);
+    }
+
+    root.on('didPut', didPut);
+    root.on('didDelete', didDelete);
+    return function unwatch() {
+      root.off('didPut', didPut);
+      root.off('didDelete', didDelete);
+    };
+  }
+
+  // === Transactions ====
+
+  // Calls 'fn' once the current transaction is committed, or
+  // immediately outside of a transaction. The write being stored, an error
+  // thrown by 'fn' is logged instead of being reported to the caller.
+  async afterCommit(fn) {
+    if (!this.insideTransaction) {
+      await this.runAfterCommitCallback(fn);
+      return;
+    }
+    if (!this.hasOwnProperty('_afterCommitCallbacks')) this._afterCommitCallbacks = [];
+    this._afterCommitCallbacks.push(fn);
+  }
+
+  // Every callback runs, even if a previous one failed
+  async runAfterCommitCallbacks(transaction) {
+    if (!transaction.hasOwnProperty('_afterCommitCallbacks')) return;
+    for (const fn of transaction._afterCommitCallbacks) await this.runAfterCommitCallback(fn);
+  }
+
+  async runAfterCommitCallback(fn) {
+    try {
+      await fn();
+    } catch (err) {
+      if (this.log) this.log.error(err.stack || err.message);
+      else console.error(err.stack || err.message);
+    }
+  }
+}
+
+// Returns a function telling if a serialized item matches options.query.
+// Deleted items (see @deletedOn()) match only with the 'withDeleted' option.
+function makeMatcher(model, options) {
+  const { equalities, conditions } = splitQuery(options.query);
+  const deletedOnField = model.prototype.deletedOnField;
+  return function(instance) {
+    if (deletedOnField && !options.withDeleted && instance[deletedOnField.name] != null) {
+      return false;
+    }
+    for (const key of Object.keys(equalities)) {
+      let value = equalities[key];
+      if (value instanceof Date) value = value.toJSON();
+      if (instance[key] !== value) return false;
+    }
+    return matchConditions(instance, conditions);
+  };
 }
 
 export function model(model, options) {
@@ -0,0 +1,114 @@
+'use strict';
+
+import InstanceStore from 'instance-store';
+
+const PROGRESS_RATE = 1000;
+
+// An instance store taking over the maintenance of the indexes from the
+// document store. The document store builds, rebuilds and drops indexes
+// during its own initialization, before its user can lock it and without
+// reporting any progress. Here, the changes are listed by getIndexChanges()
+// and applied by applyIndexChange(), so that LocalStore can do it under
+// the lock of the document store (see LocalStore#updateIndexes()).
+// This is the only place knowing the record of the document store
+// ({ collections: [{ name, indexes: [{ keys, projection, version }] }] }).
+export class IndexedInstanceStore extends InstanceStore {
+  constructor(options) {
+    super(options);
+    // indexes are the only thing the document store migrates, since
+    // the instances are kept in a single collection
+    this.documentStore.migrateDocumentStore = async function() {};
+  }
+
+  get collection() {
+    return this.documentStore.collections[0];
+  }
+
+  // Returns the differences between the indexes built (according to the
+  // record of the document store) and the declared ones, without initializing
+  // the store:
+  //   [{ type: 'add' | 'update' | 'remove', className, keys }]
+  // An index is updated when its projection or version changes. The index
+  // of the class itself has no keys.
+  async getIndexChanges() {
+    const record = await this.documentStore._loadDocumentStoreRecord(undefined, false);
+    const builtIndexes = record ? this.findRecordCollection(record).indexes : [];
+    const changes = [];
+    for (const index of this.collection.indexes) {
+      const definition = index.toJSON();
+      const builtIndex = builtIndexes.find(builtIndex => isSameKeys(builtIndex.keys, definition.keys));
+      if (!builtIndex) {
+        changes.push(this.makeIndexChange('add', definition.keys));
+      } else if (
+        JSON.stringify(builtIndex.projection) !== JSON.stringify(definition.projection) ||
+        builtIndex.version !== definition.version
+      ) {
+        changes.push(this.makeIndexChange('update', definition.keys));
+      }
+    }
+    for (const builtIndex of builtIndexes) {
+      if (!this.collection.indexes.some(index => isSameKeys(index.keys, builtIndex.keys))) {
+        changes.push(this.makeIndexChange('remove', builtIndex.keys));
+      }
+    }
+    return changes;
+  }
+
+  // Must be called with the document store locked. Builds an added index,
+  // rebuilds an updated one or drops a removed one, and saves it in the
+  // record of the document store. While an index is built, 'onProgress'
+  // is called with the number of instances indexed so far.
+  async applyIndexChange({ type, className, keys }, onProgress) {
+    const indexKeys = [this.makeIndexName(className)].concat(keys);
+    if (type !== 'add') await this.documentStore._removeIndex(this.collection.name, indexKeys);
+    let definition;
+    if (type !== 'remove') {
+      const index = this.collection.findIndex(indexKeys);
+      await this.buildIndex(className, index, onProgress);
+      definition = index.toJSON();
+    }
+    const record = await this.documentStore._loadDocumentStoreRecord();
+    const recordCollection = this.findRecordCollection(record);
+    recordCollection.indexes = recordCollection.indexes.filter(index => !isSameKeys(index.keys, indexKeys));
+    if (definition) recordCollection.indexes.push(definition);
+    await this.documentStore._saveDocumentStoreRecord(record);
+  }
+
+  // The index of a class is built from all the documents, the other
+  // indexes from the documents of the class (through its index)
+  async buildIndex(className, index, onProgress) {
+    const documentStore = this.documentStore;
+    const collection = this.collection;
+    let count = 0;
+    async function indexDocument(document, key) {
+      await documentStore.updateIndex(collection, key, undefined, document, index);
+      if (++count % PROGRESS_RATE === 0) await onProgress(count);
+    }
+    if (index.keys.length === 1) {
+      await documentStore.forEach(collection, { batchSize: PROGRESS_RATE }, indexDocument);
+    } else {
+      await this.forEach(className, { batchSize: PROGRESS_RATE }, async function(result) {
+        await indexDocument(Object.assign({ _classes: result.classes }, result.instance), result.key);
+      });
+    }
+    await onProgress(count);
+  }
+
+  findRecordCollection(record) {
+    const recordCollection = record.collections.find(recordCollection => {
+      return recordCollection.name === this.collection.name;
+    });
+    return recordCollection || { indexes: [] };
+  }
+
+  // Index keys start with the class (see InstanceStore#makeIndexName())
+  makeIndexChange(type, indexKeys) {
+    return { type, className: indexKeys[0].slice(0, -1), keys: indexKeys.slice(1) };
+  }
+}
+
+function isSameKeys(keys, otherKeys) {
+  return keys.join('+') === otherKeys.join('+');
+}
+
+export default IndexedInstanceStore;
@@ -3,11 +3,24 @@
 import { clone } from 'better-clone';
 import idgen from 'idgen';
 import setImmediatePromise from 'set-immediate-promise';
-import InstanceStore from 'instance-store';
 import Store from './';
+import IndexedInstanceStore from './indexed-instance-store';
+import { VERSION_PRESERVING_SOURCES } from '../model';
+import {
+  makeQueryPlan, matchConditions, explainQueryPlan, encodeCursor, decodeCursor
+} from '../query';
+import { HISTORY_CLASS_NAME, diffInstances } from '../history';
+import { getIndexKeys } from '../schema';
+import { generateULID } from '../key-generators';
+import {
+  DefinitionError, NotFoundError, ModelNotFoundError, AlreadyExistsError, StoreVersionError,
+  ConflictError, UniqueConstraintError, InvalidOperationError
+} from '../errors';
 
 const VERSION = 2;
 const RESPIRATION_RATE = 250;
+const NOT_DELETED_INDEX_KEY = '$notDeleted';
+const DEFAULT_PAGE_SIZE = 50;
 
 export class LocalStore extends Store {
   isLocal = true; // TODO: improve this
@@ -15,36 +28,42 @@ export class LocalStore extends Store {
   constructor(options = {}) {
     super(options);
 
-    const classes = [];
-    this.forEachModelRegistration(function(registration) {
-      classes.push({
-        name: registration.model.getName(),
-        indexes: registration.indexes
-      });
-    });
-
-    this.instanceStore = new InstanceStore({
+    this.instanceStore = new IndexedInstanceStore({
       name: this.name,
       url: this.url,
-      classes,
+      classes: this.makeClasses(),
       log: this.log
     });
 
     this.instanceStore.on('willUpgrade', () => this.emit('willUpgrade'));
     this.instanceStore.on('didUpgrade', () => this.emit('didUpgrade'));
-    this.instanceStore.on('willMigrate', () => this.emit('willMigrate'));
-    this.instanceStore.on('didMigrate', () => this.emit('didMigrate'));
   }
 
   get keyValueStore() {
     return this.instanceStore.store;
   }
 
+  // Classes (and their indexes) of the instance store
+  makeClasses() {
+    const classes = [];
+    this.forEachModelRegistration(function(registration) {
+      classes.push({
+        name: registration.model.getName(),
+        indexes: makeIndexes(registration)
+      });
+    });
+    if (this.hasHistory()) {
+      // keys are unique in the whole store, so the item key is enough
+      classes.push({ name: HISTORY_CLASS_NAME, indexes: [['itemKey']] });
+    }
+    return classes;
+  }
+
   async initializeStore() {
     if (this.hasBeenInitialized) return;
     if (this.isInitializing) return;
     if (this.insideTransaction) {
-      throw new Error('Cannot initialize the store inside a transaction');
+      throw new InvalidOperationError(undefined, 'Cannot initialize the store inside a transaction');
     }
     this.isInitializing = true;
     try {
@@ -54,6 +73,9 @@ export class LocalStore extends Store {
         await this.instanceStore.documentStore.lockDocumentStore();
         try {
           await this.upgradeStore();
+          // migrations may use the new indexes
+          await this.updateIndexes();
+          await this.migrateStore();
         } finally {
           await this.instanceStore.documentStore.unlockDocumentStore();
         }
@@ -89,6 +111,8 @@ export class LocalStore extends Store {
         record = {
           name: this.name,
           version: VERSION,
+          migrationVersion: this.getLastMigrationNumber(),
+          indexes: this.getIndexDefinitions(),
           id: idgen(16)
         };
         await this._saveStoreRecord(record, keyValueStoreTransaction, true);
@@ -109,13 +133,13 @@ export class LocalStore extends Store {
     if (version === VERSION) return;
 
     if (version > VERSION) {
-      throw new Error('Cannot downgrade the store');
+      throw new StoreVersionError(this.name, version, VERSION, 'Cannot downgrade the store');
     }
 
     this.emit('upgradeDidStart');
 
     if (version < 2) {
-      throw new Error('Cannot upgrade the store to version 2');
+      throw new StoreVersionError(this.name, version, VERSION, 'Cannot upgrade the store to version 2');
     }
 
     record.version = VERSION;
@@ -127,6 +151,158 @@ export class LocalStore extends Store {
     this.emit('upgradeDidStop');
   }
 
+  // === Migrations ====
+
+  // Registers an application-level migration step. Steps are run in
+  // ascending order of their number, each one inside a transaction.
+  // 'up' is called with the transaction store.
+  registerMigration(number, up) {
+    if (!(Number.isInteger(number) && number > 0)) {
+      throw new DefinitionError('Migration number must be a positive integer');
+    }
+    if (typeof up !== 'function') throw new DefinitionError('Migration function is missing');
+    if (!this.hasOwnProperty('_migrations')) {
+      this._migrations = Object.create(this._migrations || null);
+    }
+    if (this._migrations[number]) {
+      throw new DefinitionError(`Migration ${number} is already registered`);
+    }
+    this._migrations[number] = { number, up };
+  }
+
+  static registerMigration(number, up) {
+    this.prototype.registerMigration(number, up);
+  }
+
+  getMigrations() {
+    const migrations = [];
+    for (const number in this._migrations) {
+      migrations.push(this._migrations[number]);
+    }
+    migrations.sort((a, b) => a.number - b.number);
+    return migrations;
+  }
+
+  getLastMigrationNumber() {
+    const migrations = this.getMigrations();
+    return migrations.length ? migrations[migrations.length - 1].number : 0;
+  }
+
+  // Must be called with the document store locked. Emits 'willMigrate'
+  // and 'didMigrate' ({ number }) around each step.
+  async migrateStore() {
+    let record = await this._loadStoreRecord();
+    const migrationVersion = record.migrationVersion || 0;
+    const migrations = this.getMigrations().filter(
+      migration => migration.number > migrationVersion
+    );
+    for (const migration of migrations) {
+      await this.emit('willMigrate', { number: migration.number });
+      await this.transaction(async function(transaction) {
+        await migration.up(transaction);
+        record = await transaction._loadStoreRecord(transaction.keyValueStore);
+        record.migrationVersion = migration.number;
+        await transaction._saveStoreRecord(record, transaction.keyValueStore);
+      });
+      if (this.log) {
+        this.log.info(`Store '${this.name}' migrated to version ${migration.number}`);
+      }
+      await this.emit('didMigrate', { number: migration.number });
+    }
+  }
+
+  // === Indexes ====
+
+  // Returns the definitions of the indexes, by class name:
+  //   { Person: [{ keys: ['lastName'], projection, version, computed }] }
+  // 'computed' holds a fingerprint of the code of the computed properties.
+  // The definitions are saved in the store record (see updateIndexes()).
+  getIndexDefinitions() {
+    const definitions = {};
+    for (const { name, indexes } of this.makeClasses()) {
+      definitions[name] = indexes.map(makeIndexDefinition);
+    }
+    return definitions;
+  }
+
+  // Returns the changes between the built indexes and the declared ones,
+  // without initializing the store (dry run):
+  //   [{ type: 'add' | 'update' | 'remove', className, keys }]
+  // Changes are applied by the next initialization of the store.
+  // An index is updated when its projection, its version or the code of
+  // its computed properties (according to the saved definitions) changes.
+  async getPendingIndexChanges() {
+    const record = await this.keyValueStore.get([this.name, '$Store'], { errorIfMissing: false });
+    const changes = await this.instanceStore.getIndexChanges();
+    // stores created before index definitions were saved are up to date
+    if (!(record && record.indexes)) return changes;
+    const definitions = this.getIndexDefinitions();
+    for (const className of Object.keys(definitions)) {
+      const previousDefinitions = record.indexes[className] || [];
+      for (const definition of definitions[className]) {
+        const keys = definition.keys.join('+');
+        const previousDefinition = previousDefinitions.find(previous => previous.keys.join('+') === keys);
+        if (!previousDefinition) continue;
+        if (JSON.stringify(previousDefinition.computed) === JSON.stringify(definition.computed)) continue;
+        const isChanged = changes.some(change => change.className === className && change.keys.join('+') === keys);
+        if (!isChanged) changes.push({ type: 'update', className, keys: definition.keys });
+      }
+    }
+    return changes;
+  }
+
+  // Must be called with the document store locked, so that the changes
+  // are computed and applied by a single process. Emits 'willUpdateIndexes'
+  // and 'didUpdateIndexes' (with the changes) and, while an index is built,
+  // 'indexProgress' ({ className, keys, count }).
+  async updateIndexes() {
+    const record = await this._loadStoreRecord();
+    const definitions = this.getIndexDefinitions();
+    const changes = await this.getPendingIndexChanges();
+    if (changes.length) await this.emit('willUpdateIndexes', changes);
+    for (const change of changes) {
+      const { className, keys } = change;
+      await this.instanceStore.applyIndexChange(change, async count => {
+        await this.emit('indexProgress', { className, keys, count });
+      });
+      if (this.log) {
+        const indexName = className + '(' + keys.join('+') + ')';
+        this.log.info(`Index '${indexName}' ${change.type}d (store '${this.name}')`);
+      }
+    }
+    if (JSON.stringify(record.indexes) !== JSON.stringify(definitions)) {
+      record.indexes = definitions;
+      await this._saveStoreRecord(record);
+    }
+    if (changes.length) await this.emit('didUpdateIndexes', changes);
+  }
+
+  // === Sequences ====
+  // Returns the next value of the store-wide sequence used by the 'sequence'
+  // key generator. The sequence is shared by all the models so that keys are
+  // unique in the whole store. Inside a transaction, the value is released
+  // if the transaction is aborted.
+  async generateSequenceValue() {
+    return await this.transaction(async function(transaction) {
+      const record = await transaction._loadStoreRecord(transaction.keyValueStore);
+      const value = (record.lastSequenceValue || 0) + 1;
+      record.lastSequenceValue = value;
+      await transaction._saveStoreRecord(record, transaction.keyValueStore);
+      return value;
+    });
+  }
+
+  // Makes sure that the sequence will never generate 'value'
+  async updateSequence(value) {
+    if (typeof value !== 'number') return;
+    await this.transaction(async function(transaction) {
+      const record = await transaction._loadStoreRecord(transaction.keyValueStore);
+      if ((record.lastSequenceValue || 0) >= value) return;
+      record.lastSequenceValue = value;
+      await transaction._saveStoreRecord(record, transaction.keyValueStore);
+    });
+  }
+
   async getStoreId() {
     if (this._storeId) return this._storeId;
     const record = await this._loadStoreRecord();
@@ -146,49 +322,202 @@ export class LocalStore extends Store {
     await this.instanceStore.close();
   }
 
+  // === Archives ====
+
+  // Writes a header line followed by one line per item (line-delimited JSON).
+  // The stream is not ended so that several archives can be concatenated.
+  async exportArchive(stream) {
+    const record = await this._loadStoreRecord();
+    await writeLine(stream, { $Store: { name: record.name, version: record.version } });
+    let itemsCount = 0;
+    const rootModels = [];
+    this.forEachModelRegistration(function(registration, name) {
+      if (registration.model.getClassNames().length === 1) rootModels.push(this[name]);
+    }, this);
+    for (const model of rootModels) {
+      await this.forEach(model, { withDeleted: true }, async function(item) {
+        await writeLine(stream, {
+          classes: item.constructor.getClassNames(),
+          key: item.primaryKeyValue,
+          instance: item.serialize()
+        });
+        itemsCount++;
+      });
+    }
+    if (this.hasHistory()) {
+      await this.instanceStore.forEach(HISTORY_CLASS_NAME, {}, async function(result) {
+        await writeLine(stream, { classes: [HISTORY_CLASS_NAME], key: result.key, instance: result.instance });
+      });
+    }
+    if (this.log) {
+      this.log.info(`Store '${this.name}' exported (${itemsCount} item(s))`);
+    }
+    return itemsCount;
+  }
+
+  async importArchive(stream) {
+    let header;
+    let itemsCount = 0;
+    let iterationsCount = 0;
+    await readLines(stream, async function(line) {
+      const json = JSON.parse(line);
+      if (!header) {
+        header = json.$Store;
+        if (!header) throw new InvalidOperationError(undefined, 'Invalid archive (header is missing)');
+        if (header.version > VERSION) {
+          throw new StoreVersionError(
+            this.name, header.version, VERSION,
+            'Cannot import an archive made by a more recent version of the store'
+          );
+        }
+        return;
+      }
+      if (json.classes[0] === HISTORY_CLASS_NAME) {
+        // the history is dropped if this store does not keep one
+        if (this.hasHistory()) {
+          await this.initializeStore();
+          await this.instanceStore.put([HISTORY_CLASS_NAME], json.key, json.instance);
+        }
+        return;
+      }
+      const model = this[json.classes[0]];
+      if (!model) throw new ModelNotFoundError(json.classes[0]);
+      const item = model.unserialize(json.instance);
+      item.primaryKeyValue = json.key;
+      await item.save({ source: 'archive' });
+      itemsCount++;
+      if (++iterationsCount % RESPIRATION_RATE === 0) await setImmediatePromise();
+    }, this);
+    if (!header) throw new InvalidOperationError(undefined, 'Invalid archive (header is missing)');
+    if (this.log) {
+      this.log.info(`Store '${this.name}' imported (${itemsCount} item(s))`);
+    }
+    return itemsCount;
+  }
+
   // === Operations ====
 
-  async get(item, options) {
+  async get(item, options = {}) {
     const className = item.constructor.getName();
     const key = item.primaryKeyValue;
+    options = clone(options);
+    const withDeleted = options.withDeleted;
+    delete options.withDeleted;
+    const errorIfMissing = options.errorIfMissing !== false;
+    options.errorIfMissing = false;
     await this.initializeStore();
     const result = await this.instanceStore.get(className, key, options);
-    if (!result) return undefined; // means item is not found and errorIfMissing is false
+    if (!result || (!withDeleted && this.isDeletedResult(result))) {
+      if (errorIfMissing) throw new NotFoundError(className, key);
+      return undefined;
+    }
     const resultClassName = result.classes[0];
     item.mutate(result.instance, this[resultClassName]);
     return item;
   }
 
+  // Options:
+  //   expectedVersion: version of the stored item (see @version()).
+  //     Default: the version of the item when it was loaded.
   async put(item, options = {}) {
     const classNames = item.constructor.getClassNames();
     const key = item.primaryKeyValue;
     const instance = item.serialize();
     options = clone(options);
     if (item.isNew) options.errorIfExists = true;
+    const expectedVersion = options.hasOwnProperty('expectedVersion') ?
+      options.expectedVersion : item.saved && item.versionField && item.saved[item.versionField.name];
+    delete options.expectedVersion;
     await this.initializeStore();
-    await this.instanceStore.put(classNames, key, instance, options);
+    await this.transaction(async function(transaction) {
+      const mustCheckVersion = item.versionField && !item.isNew &&
+        !VERSION_PRESERVING_SOURCES.includes(options.source);
+      if (mustCheckVersion) {
+        await transaction.checkVersion(item, expectedVersion);
+      }
+      if (options.errorIfExists) await transaction.checkExistence(item);
+      await transaction.checkUniqueConstraints(item, instance);
+      if (item.primaryKeyField.keyGenerator === 'sequence') {
+        // keys may come from elsewhere (e.g. a synchronizer or an archive)
+        await transaction.updateSequence(key);
+      }
+      const isRecordingHistory = transaction.isRecordingHistory(item.constructor, options);
+      let previousResult;
+      if (isRecordingHistory) {
+        previousResult = await transaction.instanceStore.get(classNames[0], key, { errorIfMissing: false });
+      }
+      await transaction.instanceStore.put(classNames, key, instance, options);
+      if (isRecordingHistory) {
+        const previousInstance = previousResult && previousResult.instance;
+        await transaction.addHistoryEntry(item, 'put', previousInstance, instance, options);
+      }
+    });
     await this.emit('didPut', item, options);
   }
 
-  async delete(item, options) {
+  async checkExistence(item) {
+    const className = item.constructor.getName();
+    const key = item.primaryKeyValue;
+    const classNames = item.constructor.getClassNames();
+    // keys are unique in the whole class hierarchy
+    const rootClassName = classNames[classNames.length - 1];
+    const result = await this.instanceStore.get(rootClassName, key, { errorIfMissing: false });
+    if (result) throw new AlreadyExistsError(className, key);
+  }
+
+  async checkVersion(item, expectedVersion) {
+    const className = item.constructor.getName();
+    const key = item.primaryKeyValue;
+    const result = await this.instanceStore.get(className, key, { errorIfMissing: false });
+    const storedVersion = result ? result.instance[item.versionField.name] : undefined;
+    if (storedVersion !== expectedVersion) {
+      throw new ConflictError(item, expectedVersion, storedVersion);
+    }
+  }
+
+  async delete(item, options = {}) {
     const className = item.constructor.getName();
     const key = item.primaryKeyValue;
+    options = clone(options);
+    const errorIfMissing = options.errorIfMissing !== false;
+    options.errorIfMissing = false;
     await this.initializeStore();
-    const hasBeenDeleted = await this.instanceStore.delete(
-      className, key, options
-    );
+    let hasBeenDeleted;
+    if (this.isRecordingHistory(item.constructor, options)) {
+      hasBeenDeleted = await this.transaction(async function(transaction) {
+        const result = await transaction.instanceStore.get(className, key, { errorIfMissing: false });
+        if (!result) return false;
+        await transaction.instanceStore.delete(className, key, options);
+        await transaction.addHistoryEntry(item, 'delete', result.instance, undefined, options);
+        return true;
+      });
+    } else {
+      hasBeenDeleted = await this.instanceStore.delete(className, key, options);
+    }
+    if (!hasBeenDeleted && errorIfMissing) throw new NotFoundError(className, key);
     if (hasBeenDeleted) await this.emit('didDelete', item, options);
     return hasBeenDeleted;
   }
 
-  async getMany(items, options) {
+  async getMany(items, options = {}) {
     if (!items.length) return [];
     // we suppose that every items belongs to the same model:
     const className = items[0].constructor.getName();
     const keys = items.map(item => item.primaryKeyValue);
+    options = clone(options);
+    const withDeleted = options.withDeleted;
+    delete options.withDeleted;
+    const errorIfMissing = options.errorIfMissing !== false;
+    options.errorIfMissing = false;
     let iterationsCount = 0;
     await this.initializeStore();
-    const results = await this.instanceStore.getMany(className, keys, options);
+    let results = await this.instanceStore.getMany(className, keys, options);
+    // deleted items are missing too
+    if (!withDeleted) results = results.filter(result => !this.isDeletedResult(result));
+    if (errorIfMissing && results.length !== keys.length) {
+      const missingKey = keys.find(key => !results.some(result => result.key === key));
+      throw new NotFoundError(className, missingKey);
+    }
     const finalItems = [];
     for (const result of results) {
       const item = items.find(item => item.primaryKeyValue === result.key);
@@ -201,13 +530,21 @@ export class LocalStore extends Store {
     return finalItems;
   }
 
-  async find(model, options) {
+  // Options:
+  //   query: besides equalities, values can use the operators
+  //     defined in src/query.js. Example: { createdOn: { $gte: date } }.
+  //     An index must be declared for the query (see planQuery()).
+  async find(model, options = {}) {
     const className = model.getName();
+    const plan = this.planQuery(model, options);
+    const limit = plan.isExact ? undefined : options.limit;
     let iterationsCount = 0;
     await this.initializeStore();
-    const results = await this.instanceStore.find(className, options);
+    const results = await this.instanceStore.find(className, plan.options);
     const items = [];
     for (const result of results) {
+      if (limit !== undefined && items.length >= limit) break;
+      if (!matchConditions(result.instance, plan.conditions)) continue;
       const resultClassName = result.classes[0];
       const item = this[resultClassName].unserialize(result.instance);
       items.push(item);
@@ -216,22 +553,76 @@ export class LocalStore extends Store {
     return items;
   }
 
-  async count(model, options) {
+  async count(model, options = {}) {
     const className = model.getName();
+    const plan = this.planQuery(model, options);
     await this.initializeStore();
-    return await this.instanceStore.count(className, options);
+    if (plan.isExact) return await this.instanceStore.count(className, plan.options);
+    let count = 0;
+    await this.instanceStore.forEach(className, plan.options, function(result) {
+      if (matchConditions(result.instance, plan.conditions)) count++;
+    });
+    return count;
   }
 
-  async forEach(model, options, fn, thisArg) {
+  async forEach(model, options = {}, fn, thisArg) {
     const className = model.getName();
+    const plan = this.planQuery(model, options);
+    const limit = plan.isExact ? undefined : options.limit;
+    let count = 0;
     await this.initializeStore();
-    await this.instanceStore.forEach(className, options, async function(result) {
+    await this.instanceStore.forEach(className, plan.options, async function(result) {
+      if (limit !== undefined && count >= limit) return;
+      if (!matchConditions(result.instance, plan.conditions)) return;
+      count++;
       const resultClassName = result.classes[0];
       const item = this[resultClassName].unserialize(result.instance);
       await fn.call(thisArg, item);
     }, this);
   }
 
+  // Options:
+  //   limit: page size. Default: 50.
+  //   cursor: 'nextCursor' returned with the previous page
+  // Returns { items, nextCursor, hasMore }
+  async paginate(model, options = {}) {
+    options = clone(options);
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const cursor = options.cursor;
+    delete options.cursor;
+    const plan = this.planQuery(model, options);
+    if (cursor) {
+      options.startAfter = decodeCursor(plan, cursor);
+      delete options.start;
+    }
+    options.limit = limit + 1; // an additional item tells if there are more
+    const items = await this.find(model, options);
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+    let nextCursor;
+    if (hasMore) {
+      const lastItem = items[items.length - 1];
+      nextCursor = encodeCursor(plan, lastItem.serialize(), lastItem.primaryKeyValue);
+    }
+    return { items, nextCursor, hasMore };
+  }
+
+  // Returns the index that would be used by a query, and how
+  async explain(model, options = {}) {
+    const plan = this.planQuery(model, options);
+    return explainQueryPlan(model.getName(), plan);
+  }
+
+  // Throws a MissingIndexError if no index declared in the registration
+  // of the model can serve the query
+  planQuery(model, options) {
+    options = this.excludeDeletedItems(model, options);
+    const registration = this.getModelRegistration(model.getName());
+    // the instance store always adds an index for the class itself
+    const indexes = [[]].concat(makeIndexes(registration).map(getIndexKeys));
+    return makeQueryPlan(model.getName(), indexes, options);
+  }
+
   async findAndDelete(model, options) {
     let deletedItemsCount = 0;
     await this.forEach(model, options, async function(item) {
@@ -241,16 +632,111 @@ export class LocalStore extends Store {
     return deletedItemsCount;
   }
 
+  // Constraints of the superclasses are checked too, so that a unique
+  // key is shared by all the items of a class hierarchy
+  async checkUniqueConstraints(item, instance) {
+    for (const className of item.constructor.getClassNames()) {
+      const registration = this.getModelRegistration(className);
+      if (!(registration && registration.unique)) continue;
+      for (const keys of registration.unique) {
+        const values = keys.map(key => instance[key]);
+        if (values.some(value => value == null)) continue;
+        const query = {};
+        keys.forEach((key, i) => query[key] = values[i]);
+        const results = await this.find(this[className], { query, limit: 2, withDeleted: true });
+        const conflictingItem = results.find(result => result.primaryKeyValue !== item.primaryKeyValue);
+        if (conflictingItem) {
+          throw new UniqueConstraintError(item, className, keys, values, conflictingItem.primaryKeyValue);
+        }
+      }
+    }
+  }
+
+  // Unless the 'withDeleted' option is specified, items of a model
+  // having a @deletedOn() field are queried through the indexes
+  // excluding deleted items (see makeIndexes())
+  excludeDeletedItems(model, options = {}) {
+    options = clone(options);
+    const withDeleted = options.withDeleted;
+    delete options.withDeleted;
+    if (model.prototype.deletedOnField && !withDeleted) {
+      options.query = clone(options.query) || {};
+      options.query[NOT_DELETED_INDEX_KEY] = true;
+    }
+    return options;
+  }
+
+  isDeletedResult(result) {
+    const deletedOnField = this[result.classes[0]].prototype.deletedOnField;
+    return Boolean(deletedOnField && result.instance[deletedOnField.name] != null);
+  }
+
+  // === History ====
+
+  hasHistory() {
+    let hasHistory = false;
+    this.forEachModelRegistration(function(registration) {
+      if (registration.history) hasHistory = true;
+    });
+    return hasHistory;
+  }
+
+  // The history of a model is enabled by the 'history' option of
+  // its registration or the registration of a superclass
+  isHistoryEnabled(model) {
+    return model.getClassNames().some(className => {
+      const registration = this.getModelRegistration(className);
+      return Boolean(registration && registration.history);
+    });
+  }
+
+  // Items imported from an archive come with their history
+  // (see exportArchive())
+  isRecordingHistory(model, options = {}) {
+    return options.source !== 'archive' && this.isHistoryEnabled(model);
+  }
+
+  // Must be called inside the transaction saving or deleting the item.
+  // The actor is taken from the 'actor' property of the store context.
+  async addHistoryEntry(item, operation, previousInstance, instance, options = {}) {
+    const changes = diffInstances(previousInstance, instance);
+    if (operation === 'put' && !Object.keys(changes).length) return;
+    const entry = {
+      itemClassName: item.constructor.getName(),
+      itemKey: item.primaryKeyValue,
+      operation,
+      changes,
+      date: new Date().toJSON()
+    };
+    if (options.source) entry.source = options.source;
+    const actor = this.context && this.context.actor;
+    if (actor != null) entry.actor = actor;
+    await this.instanceStore.put([HISTORY_CLASS_NAME], generateULID(), entry, { errorIfExists: true });
+  }
+
+  // Returns the history entries of an item, from the oldest
+  async getHistory(model, key) {
+    await this.initializeStore();
+    if (!this.isHistoryEnabled(model)) {
+      throw new DefinitionError(`History is not enabled for '${model.getName()}'`);
+    }
+    const results = await this.instanceStore.find(HISTORY_CLASS_NAME, { query: { itemKey: key } });
+    return results.map(result => Object.assign({ key: result.key }, result.instance));
+  }
+
   // === Transactions ====
 
   async transaction(fn) {
     if (this.insideTransaction) return await fn(this);
     await this.initializeStore();
-    return await this.instanceStore.transaction(async function(instanceStoreTransaction) {
-      const transaction = Object.create(this);
+    let transaction;
+    const result = await this.instanceStore.transaction(async function(instanceStoreTransaction) {
+      transaction = Object.create(this);
       transaction.instanceStore = instanceStoreTransaction;
       return await fn(transaction);
     }.bind(this));
+    await this.runAfterCommitCallbacks(transaction);
+    return result;
   }
 
   get insideTransaction() {
@@ -258,6 +744,108 @@ export class LocalStore extends Store {
   }
 }
 
+// For models having a @deletedOn() field, every index has a variant
+// starting with a computed property only defined for non-deleted items
+function makeIndexes(registration) {
+  let indexes = registration.indexes || [];
+  // unique constraints require an index
+  for (const keys of registration.unique || []) {
+    const hasIndex = indexes.some(index => getIndexKeys(index).join('+') === keys.join('+'));
+    if (!hasIndex) indexes = indexes.concat([keys]);
+  }
+  const deletedOnField = registration.model.prototype.deletedOnField;
+  if (!deletedOnField) return indexes;
+  const name = deletedOnField.name;
+  function notDeleted(instance) {
+    return instance[name] == null ? true : undefined;
+  }
+  notDeleted.displayName = NOT_DELETED_INDEX_KEY;
+  const variants = [[notDeleted]];
+  for (const index of indexes) {
+    const isObject = typeof index === 'object' && !Array.isArray(index);
+    let properties = isObject ? index.properties : index;
+    if (!Array.isArray(properties)) properties = [properties];
+    properties = [notDeleted].concat(properties);
+    variants.push(isObject ? Object.assign({}, index, { properties }) : properties);
+  }
+  return indexes.concat(variants);
+}
+
+function makeIndexDefinition(index) {
+  const definition = { keys: getIndexKeys(index) };
+  const isObject = typeof index === 'object' && !Array.isArray(index);
+  if (isObject && index.projection) definition.projection = index.projection;
+  if (isObject && index.version != null) definition.version = index.version;
+  let properties = isObject ? index.properties : index;
+  if (!Array.isArray(properties)) properties = [properties];
+  for (const property of properties) {
+    if (typeof property !== 'function') continue;
+    if (!definition.computed) definition.computed = {};
+    definition.computed[property.displayName || property.name] = hashString(property.toString());
+  }
+  return definition;
+}
+
+// 32-bit FNV-1a (enough to detect a change in the code of a function)
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+function writeLine(stream, json) {
+  return new Promise(function(resolve) {
+    const isFlushed = stream.write(JSON.stringify(json) + '\n');
+    if (isFlushed) resolve();
+    else stream.once('drain', resolve);
+  });
+}
+
+// Calls fn for each line of the stream, waiting its completion
+// before reading the next line
+function readLines(stream, fn, thisArg) {
+  return new Promise(function(resolve, reject) {
+    let buffer = '';
+    let hasFailed = false;
+    let processing = Promise.resolve();
+
+    function processLines(lines) {
+      processing = processing.then(async function() {
+        for (const line of lines) {
+          if (hasFailed) return;
+          if (!line.trim()) continue;
+          await fn.call(thisArg, line);
+        }
+      });
+      return processing;
+    }
+
+    function fail(err) {
+      if (hasFailed) return;
+      hasFailed = true;
+      reject(err);
+    }
+
+    if (stream.setEncoding) stream.setEncoding('utf8');
+    stream.on('data', function(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      stream.pause();
+      processLines(lines).then(() => stream.resume(), fail);
+    });
+    stream.on('end', function() {
+      processLines([buffer]).then(function() {
+        if (!hasFailed) resolve();
+      }, fail);
+    });
+    stream.on('error', fail);
+  });
+}
+
 export { model } from './';
 
 export default LocalStore;
@@ -1,10 +1,212 @@
 'use strict';
 
-// import fetch from 'isomorphic-fetch';
+import { clone } from 'better-clone';
+import fetch from 'isomorphic-fetch';
 import Store from './';
+import { ObjectLayerError } from '../errors';
+
+// URLs:
+//   /Model: find (GET), put a new item (POST) and findAndDelete (DELETE)
+//   /Model/key: get (GET), put (PUT) and delete (DELETE)
+//   /Model/$method: model methods such as count, getMany or any custom method
+//   /Model/key/method: item custom methods
+// Options are passed in the query string as JSON encoded values.
 
 export class RemoteStore extends Store {
+  // === Operations ====
+
+  async get(item, options) {
+    const url = this.makeURL(item.constructor, item, undefined, options);
+    const result = await this.request('GET', url);
+    if (!result) return undefined; // means item is not found and errorIfMissing is false
+    const resultClassName = result.classes[0];
+    item.mutate(result.instance, this[resultClassName]);
+    this.setIncludedItems(item, result.included);
+    return item;
+  }
+
+  async put(item, options = {}) {
+    options = clone(options);
+    if (item.isNew) options.errorIfExists = true;
+    let result;
+    if (item.primaryKeyValue) {
+      const url = this.makeURL(item.constructor, item, undefined, options);
+      result = await this.request('PUT', url, item.serialize());
+    } else { // the key will be generated by the server
+      const url = this.makeURL(item.constructor, undefined, undefined, options);
+      result = await this.request('POST', url, item.serialize());
+    }
+    item.replaceValue(result.instance);
+    await this.emit('didPut', item, options);
+  }
+
+  async delete(item, options) {
+    const url = this.makeURL(item.constructor, item, undefined, options);
+    const hasBeenDeleted = await this.request('DELETE', url);
+    if (hasBeenDeleted) await this.emit('didDelete', item, options);
+    return hasBeenDeleted;
+  }
+
+  async getMany(items, options = {}) {
+    if (!items.length) return [];
+    // we suppose that every items belongs to the same model:
+    const model = items[0].constructor;
+    options = clone(options);
+    options.keys = items.map(item => item.primaryKeyValue);
+    const url = this.makeURL(model, undefined, 'getMany', options);
+    const results = await this.request('GET', url);
+    const finalItems = [];
+    for (const result of results) {
+      const item = items.find(item => item.primaryKeyValue === result.key);
+      if (!item) throw new Error('Found an unexpected item');
+      const resultClassName = result.classes[0];
+      item.mutate(result.instance, this[resultClassName]);
+      this.setIncludedItems(item, result.included);
+      finalItems.push(item);
+    }
+    return finalItems;
+  }
+
+  async find(model, options) {
+    const url = this.makeURL(model, undefined, undefined, options);
+    const results = await this.request('GET', url);
+    return results.map(result => this.makeItem(result));
+  }
+
+  async count(model, options) {
+    const url = this.makeURL(model, undefined, 'count', options);
+    return await this.request('GET', url);
+  }
+
+  async forEach(model, options = {}, fn, thisArg) {
+    options = clone(options);
+    const batchSize = options.batchSize || 250;
+    delete options.batchSize;
+    options.limit = batchSize;
+    // the server builds the cursors from the index serving the query
+    while (true) {
+      const page = await this.paginate(model, options);
+      for (const item of page.items) await fn.call(thisArg, item);
+      if (!page.hasMore) break;
+      options.cursor = page.nextCursor;
+    }
+  }
+
+  async paginate(model, options) {
+    const url = this.makeURL(model, undefined, 'paginate', options);
+    const result = await this.request('GET', url);
+    result.items = result.items.map(item => this.makeItem(item));
+    return result;
+  }
+
+  async explain(model, options) {
+    const url = this.makeURL(model, undefined, 'explain', options);
+    return await this.request('GET', url);
+  }
+
+  async getHistory(model, key) {
+    const url = this.makeURL(model, undefined, 'getHistory', { key });
+    return await this.request('GET', url);
+  }
+
+  async findAndDelete(model, options) {
+    const url = this.makeURL(model, undefined, undefined, options);
+    return await this.request('DELETE', url);
+  }
+
+  async call(model, item, method, options, body) {
+    const url = this.makeURL(model, item, method, options);
+    return await this.request(body === undefined ? 'GET' : 'POST', url, body);
+  }
+
+  // === Transactions ====
+
+  // Operations are not atomic: a remote store cannot offer real transactions
+  async transaction(fn) {
+    if (this.insideTransaction) return await fn(this);
+    const transaction = Object.create(this);
+    const result = await fn(transaction);
+    await this.runAfterCommitCallbacks(transaction);
+    return result;
+  }
+
+  get insideTransaction() {
+    return this !== this.root;
+  }
+
+  // === Helpers ====
+
+  makeItem(result) {
+    const resultClassName = result.classes[0];
+    const item = this[resultClassName].unserialize(result.instance);
+    this.setIncludedItems(item, result.included);
+    return item;
+  }
+
+  // The server adds the related items requested with the 'include'
+  // option to the results (the same way as Model.loadRelations())
+  setIncludedItems(item, included) {
+    if (!included) return;
+    for (const name of Object.keys(included)) {
+      const relation = item.getRelation(name);
+      const value = included[name];
+      if (Array.isArray(value)) {
+        const relatedItems = value.map(result => this.makeIncludedItem(result));
+        if (relation.type === 'HAS_MANY') {
+          for (const relatedItem of relatedItems) relatedItem._origin = { relation, item };
+        }
+        item[name].includedItems = relatedItems;
+      } else if (value) {
+        const relatedItem = this.makeIncludedItem(value);
+        if (relation.type === 'HAS_ONE') relatedItem._origin = { relation, item };
+        item.setRelationCache(name, relatedItem);
+      }
+    }
+  }
+
+  makeIncludedItem(result) {
+    const item = this.identifyItem(this.makeItem(result));
+    item.saved = item.clone();
+    return item;
+  }
+
+  makeURL(model, item, method, options = {}) {
+    let url = this.url.replace(/\/+$/, '');
+    url += '/' + encodeURIComponent(model.getName());
+    if (item) url += '/' + encodeURIComponent(item.primaryKeyValue);
+    if (method) url += '/' + (item ? '' : '$') + encodeURIComponent(method);
+    const query = [];
+    for (const name of Object.keys(options)) {
+      const value = options[name];
+      if (value === undefined) continue;
+      query.push(encodeURIComponent(name) + '=' + encodeURIComponent(JSON.stringify(value)));
+    }
+    if (query.length) url += '?' + query.join('&');
+    return url;
+  }
 
+  async request(method, url, body) {
+    const init = { method, headers: { Accept: 'application/json' } };
+    if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const response = await fetch(url, init);
+    const text = await response.text();
+    const result = text ? JSON.parse(text) : undefined;
+    if (!response.ok) {
+      let err;
+      if (result && result.code) {
+        err = ObjectLayerError.fromJSON(result);
+      } else {
+        const message = (result && result.message) || `${response.status} ${response.statusText}`;
+        err = new Error(message);
+      }
+      err.status = response.status;
+      throw err;
+    }
+    return result;
+  }
 }
 
 export { model } from './';
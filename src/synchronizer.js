@@ -0,0 +1,226 @@
+'use strict';
+
+import { EventEmitterMixin } from 'event-emitter-mixin';
+
+const SYNCHRONIZER_SOURCES = ['localSynchronizer', 'remoteSynchronizer'];
+
+// Synchronizes a local store with another store (local or remote).
+// Changes made on the local store are recorded (see the 'didPut' and
+// 'didDelete' events) and pushed by synchronize(). Changes made on the other
+// store, by any client, are detected from its data: the items of the models
+// having an @updatedOn() field are queried with an 'updatedOn' value greater
+// than or equal to the checkpoint of the previous synchronization, so the
+// other store must declare an index on this field. Items deleted on the
+// other store are detected only for models having a @deletedOn() field.
+// When an item has been changed on both sides, the most recent change
+// (according to the 'updatedOn' field) wins.
+//
+// Events:
+//   willSynchronize, didSynchronize(stats)
+//   progress({ doneCount, totalCount })
+//   conflict({ key, localChange, remoteChange, winner })
+
+export class Synchronizer extends EventEmitterMixin() {
+  constructor(options = {}) {
+    super();
+
+    if (!options.localStore) throw new Error('Local store is missing');
+    if (!options.remoteStore) throw new Error('Remote store is missing');
+
+    this.localStore = options.localStore;
+    this.remoteStore = options.remoteStore;
+    this.log = options.log || this.localStore.log;
+
+    const synchronizer = this;
+
+    this.localStore.on('didPut', async function(item, options) {
+      await synchronizer.recordChange(this.keyValueStore, 'local', item, false, options);
+    });
+    this.localStore.on('didDelete', async function(item, options) {
+      await synchronizer.recordChange(this.keyValueStore, 'local', item, true, options);
+    });
+  }
+
+  async synchronize() {
+    if (this.isSynchronizing) throw new Error('A synchronization is already in progress');
+    this.isSynchronizing = true;
+    try {
+      await this.localStore.initializeStore();
+      await this.emit('willSynchronize');
+
+      const localChanges = await this.loadChanges('local');
+      const { changes: remoteChanges, checkpoint } = await this.loadRemoteChanges();
+      const keys = Object.keys(localChanges);
+      for (const key of Object.keys(remoteChanges)) {
+        if (!localChanges[key]) keys.push(key);
+      }
+
+      const stats = { pushedCount: 0, pulledCount: 0, conflictsCount: 0 };
+      const totalCount = keys.length;
+      let doneCount = 0;
+      for (const key of keys) {
+        const localChange = localChanges[key];
+        const remoteChange = remoteChanges[key];
+        let winner = localChange ? 'local' : 'remote';
+        if (localChange && remoteChange) {
+          if (remoteChange.changedOn > localChange.changedOn) winner = 'remote';
+          stats.conflictsCount++;
+          await this.emit('conflict', { key: localChange.key, localChange, remoteChange, winner });
+        }
+        if (winner === 'local') {
+          await this.applyChange(localChange, this.localStore, this.remoteStore, 'localSynchronizer');
+          stats.pushedCount++;
+        } else {
+          await this.applyChange(remoteChange, this.remoteStore, this.localStore, 'remoteSynchronizer');
+          stats.pulledCount++;
+        }
+        if (localChange) await this.removeChange('local', localChange);
+        await this.emit('progress', { doneCount: ++doneCount, totalCount });
+      }
+      await this.saveCheckpoint(checkpoint);
+
+      if (this.log && totalCount) {
+        this.log.info(`Store '${this.localStore.name}' synchronized (${stats.pushedCount} item(s) pushed, ${stats.pulledCount} item(s) pulled)`);
+      }
+      await this.emit('didSynchronize', stats);
+      return stats;
+    } finally {
+      this.isSynchronizing = false;
+    }
+  }
+
+  // Soft-deleted items are copied like the other items
+  async applyChange(change, sourceStore, targetStore, source) {
+    const { className, key } = change;
+    if (change.isDeleted) {
+      await targetStore[className].delete(key, { errorIfMissing: false, source });
+      return;
+    }
+    const sourceItem = await sourceStore[className].get(key, { errorIfMissing: false, withDeleted: true });
+    if (!sourceItem) return; // the item has been deleted in the meantime
+    const value = sourceItem.serialize();
+    const targetModel = targetStore[sourceItem.constructor.getName()];
+    const targetItem = await targetModel.get(key, { errorIfMissing: false, withDeleted: true });
+    if (targetItem) {
+      targetItem.mutate(value, targetModel);
+      await targetItem.save({ source });
+    } else {
+      await targetModel.put(value, { source });
+    }
+  }
+
+  // === Changes ====
+
+  async recordChange(keyValueStore, side, item, isDeleted, options = {}) {
+    if (SYNCHRONIZER_SOURCES.includes(options.source)) return;
+    let changedOn;
+    if (!isDeleted && item.updatedOnField) changedOn = item[item.updatedOnField.name];
+    if (!changedOn) changedOn = new Date();
+    const change = {
+      className: item.constructor.getName(),
+      key: item.primaryKeyValue,
+      isDeleted,
+      changedOn: changedOn.toJSON()
+    };
+    await keyValueStore.put(this.makeChangeKey(side, change.key), change);
+  }
+
+  async loadChanges(side) {
+    const changes = {};
+    const prefix = this.makeChangeKey(side);
+    const results = await this.localStore.keyValueStore.find({ prefix });
+    for (const result of results) {
+      changes[result.value.key] = result.value;
+    }
+    return changes;
+  }
+
+  // Returns the items changed on the other store since the previous
+  // synchronization, and the next checkpoint (the most recent 'updatedOn'
+  // value). Items having the same 'updatedOn' value on both sides are in
+  // sync (the synchronizer preserves the value).
+  async loadRemoteChanges() {
+    const record = await this.loadRecord();
+    const changes = {};
+    let checkpoint = record.checkpoint;
+    for (const model of this.getSynchronizedModels()) {
+      const className = model.getName();
+      const name = model.prototype.updatedOnField.name;
+      const options = { withDeleted: true };
+      if (record.checkpoint) options.query = { [name]: { $gte: record.checkpoint } };
+      await this.remoteStore[className].forEach(options, async function(remoteItem) {
+        const key = remoteItem.primaryKeyValue;
+        const changedOn = serializeDate(remoteItem[name]);
+        if (changedOn && (!checkpoint || changedOn > checkpoint)) checkpoint = changedOn;
+        const localItem = await this.localStore[className].get(key, { errorIfMissing: false, withDeleted: true });
+        if (localItem && serializeDate(localItem[name]) === changedOn) return;
+        changes[key] = { className: remoteItem.constructor.getName(), key, isDeleted: false, changedOn };
+      }, this);
+    }
+    return { changes, checkpoint };
+  }
+
+  // Root models having an @updatedOn() field and registered in both stores
+  getSynchronizedModels() {
+    const models = [];
+    this.localStore.forEachModelRegistration(function(registration, name) {
+      const model = registration.model;
+      if (model.getClassNames().length !== 1) return;
+      if (!model.prototype.updatedOnField) return;
+      if (!this.remoteStore.getModelRegistration(name)) return;
+      models.push(this.localStore[name]);
+    }, this);
+    return models;
+  }
+
+  async removeChange(side, change) {
+    const keyValueStore = this.localStore.keyValueStore;
+    await keyValueStore.transaction(async function(keyValueStoreTransaction) {
+      const changeKey = this.makeChangeKey(side, change.key);
+      const currentChange = await keyValueStoreTransaction.get(changeKey, { errorIfMissing: false });
+      // The item may have been changed again during the synchronization
+      if (!currentChange) return;
+      if (currentChange.changedOn !== change.changedOn || currentChange.isDeleted !== change.isDeleted) return;
+      await keyValueStoreTransaction.delete(changeKey, { errorIfMissing: false });
+    }.bind(this));
+  }
+
+  async getPendingChangesCount() {
+    const localChanges = await this.loadChanges('local');
+    const { changes: remoteChanges } = await this.loadRemoteChanges();
+    return Object.keys(localChanges).length + Object.keys(remoteChanges).length;
+  }
+
+  // === Record ====
+
+  // The record of the synchronizer is kept in the local store:
+  //   { checkpoint: '2017-01-16T10:12:23.456Z' }
+  async loadRecord() {
+    const record = await this.localStore.keyValueStore.get(this.makeRecordKey(), { errorIfMissing: false });
+    return record || {};
+  }
+
+  async saveCheckpoint(checkpoint) {
+    if (!checkpoint) return;
+    const record = await this.loadRecord();
+    if (record.checkpoint === checkpoint) return;
+    record.checkpoint = checkpoint;
+    await this.localStore.keyValueStore.put(this.makeRecordKey(), record);
+  }
+
+  makeRecordKey() {
+    return [this.localStore.name, '$Synchronizer'];
+  }
+
+  makeChangeKey(side, key) {
+    const changeKey = [this.localStore.name, '$Synchronizer', side];
+    if (key != null) changeKey.push(key);
+    return changeKey;
+  }
+}
+
+function serializeDate(date) {
+  return date ? date.toJSON() : undefined;
+}
+
+export default Synchronizer;
@@ -1,8 +1,10 @@
 'use strict';
 
+import { PassThrough } from 'stream';
 import { assert } from 'chai';
 import { AbstractDate } from 'abstract-date';
-import { LocalStore, model, Model, primaryKey, foreignKey, field, createdOn, hasOne, hasMany, belongsTo } from '../src';
+import { createItemStream } from '../src/node';
+import { LocalStore, CachePlugin, NotFoundError, MissingIndexError, AlreadyExistsError, InvalidRelationError, DeleteRestrictedError, ConflictError, UniqueConstraintError, InvalidQueryError, InvalidOperationError, model, Model, primaryKey, foreignKey, field, createdOn, deletedOn, version, hasOne, hasMany, hasManyThrough, belongsTo } from '../src';
 
 async function catchError(fn) {
   let err;
@@ -92,7 +94,10 @@ describe('LocalStore', function() {
     const err = await catchError(async function() {
       await store.Person.get('xyz');
     });
-    assert.instanceOf(err, Error);
+    assert.instanceOf(err, NotFoundError);
+    assert.equal(err.code, 'NOT_FOUND');
+    assert.equal(err.className, 'Person');
+    assert.equal(err.key, 'xyz');
 
     const item = await store.Person.get('xyz', { errorIfMissing: false });
     assert.isUndefined(item);
@@ -105,7 +110,9 @@ describe('LocalStore', function() {
     const err = await catchError(async function() {
       await jack2.save();
     });
-    assert.instanceOf(err, Error);
+    assert.instanceOf(err, AlreadyExistsError);
+    assert.equal(err.code, 'ALREADY_EXISTS');
+    assert.equal(err.key, jack.id);
 
     await jack.delete();
   });
@@ -114,7 +121,8 @@ describe('LocalStore', function() {
     let err = await catchError(async function() {
       await store.Person.delete('xyz');
     });
-    assert.instanceOf(err, Error);
+    assert.instanceOf(err, NotFoundError);
+    assert.equal(err.key, 'xyz');
 
     let hasBeenDeleted;
     err = await catchError(async function() {
@@ -124,6 +132,17 @@ describe('LocalStore', function() {
     assert.isUndefined(err);
   });
 
+  it('should throw an error when a relation is missing', async function() {
+    const jack = await store.Person.put({ firstName: 'Jack', country: 'USA' });
+    const err = await catchError(async function() {
+      await store.Person.get(jack.id, { include: 'friends' });
+    });
+    assert.instanceOf(err, InvalidRelationError);
+    assert.equal(err.className, 'Person');
+    assert.equal(err.relation, 'friends');
+    await jack.delete();
+  });
+
   it('should provide saved, isNew and isModified properties', async function() {
     const emptyPerson = new store.Person();
     assert.isUndefined(emptyPerson.saved);
@@ -230,6 +249,10 @@ describe('LocalStore', function() {
       assert.deepEqual(items[1].constructor.getName(), 'Company');
       assert.strictEqual(items[1].id, 'ccc');
       assert.strictEqual(items[1].accountNumber, 7002);
+      const err = await catchError(async function() {
+        await store.Account.getMany('aaa');
+      });
+      assert.instanceOf(err, InvalidOperationError);
     });
 
     it('should be able to find all items', async function() {
@@ -332,6 +355,46 @@ describe('LocalStore', function() {
       item = await store.Person.get('bbb');
       assert.strictEqual(item.lastName, 'Daniel');
     });
+
+    it('should be able to export and import an archive', async function() {
+      let archive = '';
+      const output = new PassThrough();
+      output.on('data', data => archive += data);
+      const exportedItemsCount = await store.exportArchive(output);
+      assert.strictEqual(exportedItemsCount, 6);
+      const lines = archive.trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(lines[0], { $Store: { name: 'TestStore', version: 2 } });
+      assert.deepEqual(lines[2].classes, ['Person', 'Account', 'Element']);
+      assert.strictEqual(lines[2].key, 'bbb');
+
+      const otherStore = new store.constructor({
+        name: 'TestArchive',
+        url: 'mysql://test@localhost/test'
+      });
+      try {
+        const input = new PassThrough();
+        input.end(archive);
+        const importedItemsCount = await otherStore.importArchive(input);
+        assert.strictEqual(importedItemsCount, 6);
+        const items = await otherStore.Account.find();
+        assert.deepEqual(items.map(item => item.id), ['aaa', 'bbb', 'ccc', 'ddd', 'eee', 'fff']);
+        assert.strictEqual(items[1].constructor.getName(), 'Person');
+        const originalItem = await store.Person.get('bbb');
+        assert.deepEqual(items[1].serialize(), originalItem.serialize());
+      } finally {
+        await otherStore.destroyAll();
+      }
+    });
+
+    it('should not import an archive without a header', async function() {
+      const input = new PassThrough();
+      input.end(JSON.stringify({ classes: ['Person'], key: 'zzz', instance: {} }) + '\n');
+      const err = await catchError(async function() {
+        await store.importArchive(input);
+      });
+      assert.instanceOf(err, InvalidOperationError);
+      assert.include(err.message, 'header is missing');
+    });
   }); // 'with several items' suite
 }); // LocalStore
 
@@ -396,6 +459,20 @@ describe('Relations', function() {
       assert.equal(profile.user.name, 'mvila');
     });
 
+    it('should be able to include related items', async function() {
+      await store.User.put({ id: 'user2', name: 'jack' });
+      const users = await store.User.find({ include: ['profile'] });
+      assert.lengthOf(users, 2);
+      assert.equal(users[0].profile.country, 'Japan');
+      assert.isFalse(users[0].profile.isNew);
+      assert.strictEqual(users[0].profile.user, users[0]);
+      assert.isTrue(users[1].profile.isNew);
+
+      const profile = await store.Profile.get(profileId, { include: 'user' });
+      assert.equal(profile.user.name, 'mvila');
+      assert.isFalse(profile.user.isNew);
+    });
+
     it('should be able to delete a related item', async function() {
       user = await store.User.get('user1');
       const hasBeenDeleted = await user.profile.delete();
@@ -479,5 +556,1834 @@ describe('Relations', function() {
       const count = await store.Photo.count();
       assert.equal(count, 1);
     });
+
+    it('should be able to include related items', async function() {
+      await store.Album.put({ id: 'album0', name: 'Empty album' });
+      await album.photos.put('photo1');
+      await album.photos.put('photo2');
+      const album2 = await store.Album.put({ id: 'album2', name: 'Other album' });
+      await album2.photos.put('photo3');
+
+      const albums = await store.Album.find({ include: 'photos' });
+      assert.deepEqual(albums.map(album => album.id), ['album0', 'album1', 'album2']);
+      assert.deepEqual(albums[0].photos.includedItems, []);
+      assert.deepEqual(albums[1].photos.includedItems.map(photo => photo.id), ['photo1', 'photo2']);
+      assert.deepEqual(albums[2].photos.includedItems.map(photo => photo.id), ['photo3']);
+      assert.strictEqual(albums[2].photos.includedItems[0].album, albums[2]);
+
+      const photos = await store.Photo.getMany(['photo1', 'photo3'], { include: ['album'] });
+      assert.equal(photos[0].album.name, 'My album');
+      assert.equal(photos[1].album.name, 'Other album');
+    });
   }); // hasMany/belongsTo
+
+  describe('polymorphic belongsTo', function() {
+    let store;
+
+    before(async function() {
+      class Photo extends Model {
+        @primaryKey() id;
+        @field(String) title;
+        @hasMany('Comment', 'commentableId', { typeKey: 'commentableType' }) comments;
+      }
+
+      class Article extends Model {
+        @primaryKey() id;
+        @field(String) title;
+        @hasMany('Comment', 'commentableId', { typeKey: 'commentableType' }) comments;
+      }
+
+      class Comment extends Model {
+        @primaryKey() id;
+        @field(String) commentableType;
+        @foreignKey() commentableId;
+        @field(String) text;
+        @belongsTo(['Photo', 'Article'], 'commentableId', { typeKey: 'commentableType' }) commentable;
+      }
+
+      class TestStore extends LocalStore {
+        @model(Photo) Photo;
+        @model(Article) Article;
+        @model(Comment, { indexes: [['commentableType', 'commentableId']] }) Comment;
+      }
+
+      store = new TestStore({
+        name: 'TestPolymorphic',
+        url: 'mysql://test@localhost/test'
+      });
+    });
+
+    after(async function() {
+      await store.destroyAll();
+    });
+
+    it('should store the type of the parent item', async function() {
+      const photo = await store.Photo.put({ id: 'photo1', title: 'Sunset' });
+      const article = await store.Article.put({ id: 'article1', title: 'News' });
+      await photo.comments.put({ id: 'comment1', text: 'Nice!' });
+      await article.comments.put({ id: 'comment2', text: 'Interesting' });
+      await store.Article.put({ id: 'article2', title: 'No comment' });
+
+      const comment = await store.Comment.get('comment1');
+      assert.deepEqual(comment.serialize(), {
+        id: 'comment1', commentableType: 'Photo', commentableId: 'photo1', text: 'Nice!'
+      });
+    });
+
+    it('should resolve the parent item at access time', async function() {
+      const comment = await store.Comment.get('comment2');
+      assert.equal(comment.commentable.constructor.getName(), 'Article');
+      await comment.commentable.load();
+      assert.equal(comment.commentable.title, 'News');
+
+      comment.commentableType = 'Photo';
+      comment.commentableId = 'photo1';
+      assert.equal(comment.commentable.constructor.getName(), 'Photo');
+      await comment.commentable.load();
+      assert.equal(comment.commentable.title, 'Sunset');
+
+      comment.commentableType = 'Person';
+      assert.throws(() => comment.commentable, /not allowed/);
+
+      const orphan = new store.Comment({ id: 'comment3' });
+      assert.isUndefined(orphan.commentable);
+    });
+
+    it('should filter related items on the type and the key', async function() {
+      const photo = await store.Photo.get('photo1');
+      let comments = await photo.comments.find();
+      assert.deepEqual(comments.map(comment => comment.id), ['comment1']);
+      const article = await store.Article.get('article2');
+      assert.strictEqual(await article.comments.count(), 0);
+
+      comments = await store.Comment.find({ include: 'commentable' });
+      assert.equal(comments[0].commentable.title, 'Sunset');
+      assert.equal(comments[1].commentable.title, 'News');
+
+      const articles = await store.Article.find({ include: 'comments' });
+      assert.deepEqual(articles[0].comments.includedItems.map(comment => comment.id), ['comment2']);
+      assert.deepEqual(articles[1].comments.includedItems, []);
+
+      await photo.delete();
+      assert.strictEqual(await store.Comment.count(), 1);
+    });
+  }); // polymorphic belongsTo
+
+  describe('hasManyThrough', function() {
+    let store;
+
+    before(async function() {
+      class Article extends Model {
+        @primaryKey() id;
+        @field(String) title;
+        @hasManyThrough('Tag', 'Tagging', 'articleId', 'tagId') tags;
+      }
+
+      class Tag extends Model {
+        @primaryKey() id;
+        @field(String) name;
+      }
+
+      class Tagging extends Model {
+        @primaryKey() id;
+        @foreignKey() articleId;
+        @foreignKey() tagId;
+      }
+
+      class TestStore extends LocalStore {
+        @model(Article) Article;
+        @model(Tag) Tag;
+        @model(Tagging, { indexes: [['articleId', 'tagId']] }) Tagging;
+      }
+
+      store = new TestStore({
+        name: 'TestHasManyThrough',
+        url: 'mysql://test@localhost/test'
+      });
+    });
+
+    after(async function() {
+      await store.destroyAll();
+    });
+
+    it('should be able to add, find and remove related items', async function() {
+      const article = await store.Article.put({ id: 'article1', title: 'Hello' });
+      await store.Tag.put({ id: 'tag1', name: 'news' });
+
+      await article.tags.add('tag1');
+      await article.tags.add('tag1'); // should not create a second join item
+      const tag2 = await article.tags.add({ id: 'tag2', name: 'sport' });
+      assert.isFalse(tag2.isNew);
+
+      assert.strictEqual(await article.tags.count(), 2);
+      assert.strictEqual(await store.Tagging.count(), 2);
+      let tags = await article.tags.find();
+      assert.deepEqual(tags.map(tag => tag.name), ['news', 'sport']);
+
+      assert.isTrue(await article.tags.remove('tag1'));
+      assert.isFalse(await article.tags.remove('tag1'));
+      tags = await article.tags.find();
+      assert.deepEqual(tags.map(tag => tag.id), ['tag2']);
+      assert.strictEqual(await store.Tag.count(), 2);
+
+      await store.Article.put({ id: 'article2', title: 'Bye' });
+      const articles = await store.Article.getMany(['article1', 'article2'], { include: 'tags' });
+      assert.deepEqual(articles[0].tags.includedItems.map(tag => tag.id), ['tag2']);
+      assert.deepEqual(articles[1].tags.includedItems, []);
+      await articles[1].delete();
+    });
+
+    it('should delete join items when the owner is deleted', async function() {
+      const article = await store.Article.get('article1');
+      await article.tags.add('tag1');
+      assert.strictEqual(await store.Tagging.count(), 2);
+      await article.delete();
+      assert.strictEqual(await store.Tagging.count(), 0);
+      assert.strictEqual(await store.Tag.count(), 2);
+    });
+  }); // hasManyThrough
+
+  describe('delete policies', function() {
+    let store;
+
+    before(async function() {
+      class Author extends Model {
+        @primaryKey() id;
+        @hasMany('Book', 'authorId') books;
+        @hasMany('Draft', 'authorId', { onDelete: 'nullify' }) drafts;
+        @hasMany('Invoice', 'authorId', { onDelete: 'restrict' }) invoices;
+        @hasOne('Avatar', 'authorId', { onDelete: 'none' }) avatar;
+      }
+
+      class Book extends Model {
+        @primaryKey() id;
+        @foreignKey() authorId;
+      }
+
+      class Draft extends Model {
+        @primaryKey() id;
+        @foreignKey() authorId;
+      }
+
+      class Invoice extends Model {
+        @primaryKey() id;
+        @foreignKey() authorId;
+      }
+
+      class Avatar extends Model {
+        @primaryKey() id;
+        @foreignKey() authorId;
+      }
+
+      class TestStore extends LocalStore {
+        @model(Author) Author;
+        @model(Book, { indexes: ['authorId'] }) Book;
+        @model(Draft, { indexes: ['authorId'] }) Draft;
+        @model(Invoice, { indexes: ['authorId'] }) Invoice;
+        @model(Avatar, { indexes: ['authorId'] }) Avatar;
+      }
+
+      store = new TestStore({
+        name: 'TestDeletePolicies',
+        url: 'mysql://test@localhost/test'
+      });
+    });
+
+    after(async function() {
+      await store.destroyAll();
+    });
+
+    it('should reject invalid policies', function() {
+      assert.throws(function() {
+        class Model1 extends Model {
+          @hasMany('Book', 'authorId', { onDelete: 'destroy' }) books;
+        }
+        return Model1;
+      }, /Invalid onDelete option/);
+    });
+
+    it('should apply the policy of each relation', async function() {
+      const author = await store.Author.put('author1');
+      await author.books.put('book1');
+      await author.drafts.put('draft1');
+      await author.avatar.save();
+      const avatarId = author.avatar.id;
+
+      assert.isTrue(await author.delete());
+      assert.strictEqual(await store.Book.count(), 0);
+      const draft = await store.Draft.get('draft1');
+      assert.isUndefined(draft.authorId);
+      const avatar = await store.Avatar.get(avatarId);
+      assert.equal(avatar.authorId, 'author1');
+    });
+
+    it('should not delete an item with restricting related items', async function() {
+      const author = await store.Author.put('author2');
+      await author.books.put('book2');
+      await author.invoices.put('invoice1');
+
+      const err = await catchError(async function() {
+        await author.delete();
+      });
+      assert.instanceOf(err, DeleteRestrictedError);
+      assert.instanceOf(err, Error);
+      assert.equal(err.relation, 'invoices');
+      assert.equal(err.key, 'author2');
+
+      // the delete transaction should have been cancelled
+      assert.isDefined(await store.Author.get('author2'));
+      assert.strictEqual(await author.books.count(), 1);
+
+      await store.Invoice.delete('invoice1');
+      assert.isTrue(await author.delete());
+    });
+  }); // delete policies
 }); // Relations
+
+describe('Optimistic concurrency control', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(async function() {
+    class Document extends Model {
+      @primaryKey() id;
+      @field(String) title;
+      @version() version;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Document) Document;
+    }
+
+    store = new TestStore({
+      name: 'TestVersion',
+      url: 'mysql://test@localhost/test'
+    });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should increment the version on every save', async function() {
+    const document = await store.Document.put({ id: 'doc1', title: 'Draft' });
+    assert.strictEqual(document.version, 1);
+    document.title = 'Final';
+    await document.save();
+    assert.strictEqual(document.version, 2);
+    const item = await store.Document.get('doc1');
+    assert.strictEqual(item.version, 2);
+  });
+
+  it('should reject a save based on an outdated version', async function() {
+    const document1 = await store.Document.get('doc1');
+    const document2 = await store.Document.get('doc1');
+    document1.title = 'Changed by user 1';
+    await document1.save();
+    assert.strictEqual(document1.version, 3);
+
+    document2.title = 'Changed by user 2';
+    const err = await catchError(async function() {
+      await document2.save();
+    });
+    assert.instanceOf(err, ConflictError);
+    assert.strictEqual(err.expectedVersion, 2);
+    assert.strictEqual(err.storedVersion, 3);
+    let item = await store.Document.get('doc1');
+    assert.equal(item.title, 'Changed by user 1');
+
+    await document2.load();
+    document2.title = 'Changed by user 2';
+    await document2.save();
+    assert.strictEqual(document2.version, 4);
+
+    // synchronizers and archive imports bypass the check
+    document1.title = 'Imported';
+    await document1.save({ source: 'archive' });
+    item = await store.Document.get('doc1');
+    assert.equal(item.title, 'Imported');
+    assert.strictEqual(item.version, 3);
+  });
+}); // Optimistic concurrency control
+
+describe('Unique constraints', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(async function() {
+    class Account extends Model {
+      @primaryKey() id;
+      @field(Number) accountNumber;
+    }
+
+    class Person extends Account {
+      @field(String) firstName;
+      @field(String) lastName;
+    }
+
+    class Company extends Account {
+      @field(String) name;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Account, { unique: 'accountNumber' }) Account;
+      @model(Person, { unique: [['lastName', 'firstName']] }) Person;
+      @model(Company) Company;
+    }
+
+    store = new TestStore({
+      name: 'TestUnique',
+      url: 'mysql://test@localhost/test'
+    });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should enforce unique constraints across a class hierarchy', async function() {
+    await store.Person.put({ id: 'person1', accountNumber: 1, firstName: 'Jack', lastName: 'Daniel' });
+    await store.Company.put({ id: 'company1', accountNumber: 2, name: 'Kinda Ltd' });
+
+    let err = await catchError(async function() {
+      await store.Company.put({ id: 'company2', accountNumber: 1, name: 'Fleur SARL' });
+    });
+    assert.instanceOf(err, UniqueConstraintError);
+    assert.equal(err.constraint, 'Account(accountNumber)');
+    assert.equal(err.conflictingKey, 'person1');
+    assert.deepEqual(err.values, [1]);
+    assert.isUndefined(await store.Company.get('company2', { errorIfMissing: false }));
+
+    err = await catchError(async function() {
+      await store.Person.put({ id: 'person2', accountNumber: 3, firstName: 'Jack', lastName: 'Daniel' });
+    });
+    assert.instanceOf(err, UniqueConstraintError);
+    assert.equal(err.constraint, 'Person(lastName, firstName)');
+    assert.equal(err.conflictingKey, 'person1');
+
+    // missing values are not constrained
+    await store.Person.put({ id: 'person3', firstName: 'Jack' });
+    await store.Person.put({ id: 'person4', firstName: 'Jack' });
+
+    // an item can be saved again with the same values
+    const person = await store.Person.get('person1');
+    person.firstName = 'Jim';
+    await person.save();
+    person.accountNumber = 2;
+    err = await catchError(async function() {
+      await person.save();
+    });
+    assert.instanceOf(err, UniqueConstraintError);
+  });
+}); // Unique constraints
+
+describe('Soft delete', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(async function() {
+    class Customer extends Model {
+      @primaryKey() id;
+      @field(String) name;
+      @field(String) country;
+      @deletedOn() deletedOn;
+      @hasMany('Order', 'customerId') orders;
+    }
+
+    class Order extends Model {
+      @primaryKey() id;
+      @foreignKey() customerId;
+      @deletedOn() deletedOn;
+      @version() version;
+    }
+
+    class Coupon extends Model {
+      @primaryKey() id;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Customer, { indexes: ['country'] }) Customer;
+      @model(Order, { indexes: ['customerId'] }) Order;
+      @model(Coupon) Coupon;
+    }
+
+    store = new TestStore({
+      name: 'TestSoftDelete',
+      url: 'mysql://test@localhost/test'
+    });
+
+    await store.Customer.put({ id: 'customer1', name: 'Jack', country: 'USA' });
+    await store.Customer.put({ id: 'customer2', name: 'Pierre', country: 'France' });
+    await store.Customer.put({ id: 'customer3', name: 'Vincent', country: 'USA' });
+    await store.Order.put({ id: 'order1', customerId: 'customer1' });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should mark an item as deleted', async function() {
+    const customer = await store.Customer.get('customer1');
+    assert.isTrue(await customer.delete());
+    assert.isTrue(customer.isDeleted);
+    assert.instanceOf(customer.deletedOn, Date);
+    assert.isFalse(await store.Customer.delete('customer1', { errorIfMissing: false }));
+    const err = await catchError(async function() {
+      await customer.delete();
+    });
+    assert.instanceOf(err, NotFoundError);
+    assert.isFalse(await customer.delete({ errorIfMissing: false }));
+
+    // related items are kept
+    assert.strictEqual(await store.Order.count(), 1);
+  });
+
+  it('should check the version of an item marked as deleted', async function() {
+    const order = await store.Order.get('order1');
+    const err = await catchError(async function() {
+      await order.delete({ expectedVersion: order.version + 1 });
+    });
+    assert.instanceOf(err, ConflictError);
+    assert.isFalse((await store.Order.get('order1')).isDeleted);
+  });
+
+  it('should exclude deleted items', async function() {
+    const err = await catchError(async function() {
+      await store.Customer.get('customer1');
+    });
+    assert.equal(err.message, 'Item not found');
+    assert.isUndefined(await store.Customer.get('customer1', { errorIfMissing: false }));
+    const customer = await store.Customer.get('customer1', { withDeleted: true });
+    assert.isTrue(customer.isDeleted);
+
+    let customers = await store.Customer.find();
+    assert.deepEqual(customers.map(customer => customer.id), ['customer2', 'customer3']);
+    customers = await store.Customer.find({ query: { country: 'USA' } });
+    assert.deepEqual(customers.map(customer => customer.id), ['customer3']);
+    customers = await store.Customer.find({ query: { country: 'USA' }, withDeleted: true });
+    assert.deepEqual(customers.map(customer => customer.id), ['customer1', 'customer3']);
+    assert.strictEqual(await store.Customer.count(), 2);
+    assert.strictEqual(await store.Customer.count({ withDeleted: true }), 3);
+
+    const ids = [];
+    await store.Customer.forEach({}, function(customer) {
+      ids.push(customer.id);
+    });
+    assert.deepEqual(ids, ['customer2', 'customer3']);
+
+    customers = await store.Customer.getMany(['customer1', 'customer2'], { errorIfMissing: false });
+    assert.deepEqual(customers.map(customer => customer.id), ['customer2']);
+    const missingErr = await catchError(async function() {
+      await store.Customer.getMany(['customer1', 'customer2']);
+    });
+    assert.instanceOf(missingErr, NotFoundError);
+    assert.equal(missingErr.key, 'customer1');
+  });
+
+  it('should restore a deleted item', async function() {
+    assert.isTrue(await store.Customer.restore('customer1'));
+    const customer = await store.Customer.get('customer1');
+    assert.isFalse(customer.isDeleted);
+    assert.isUndefined(customer.deletedOn);
+    assert.isFalse(await customer.restore());
+    assert.strictEqual(await store.Customer.count({ query: { country: 'USA' } }), 2);
+
+    const err = await catchError(async function() {
+      await store.Coupon.restore('coupon1');
+    });
+    assert.instanceOf(err, InvalidOperationError);
+    assert.equal(err.key, 'coupon1');
+  });
+
+  it('should purge an item and its related items', async function() {
+    const customer = await store.Customer.get('customer1');
+    await customer.delete();
+    assert.isTrue(await customer.purge());
+    assert.isUndefined(await store.Customer.get('customer1', { errorIfMissing: false, withDeleted: true }));
+    assert.strictEqual(await store.Customer.count({ withDeleted: true }), 2);
+    assert.strictEqual(await store.Order.count({ withDeleted: true }), 0);
+  });
+}); // Soft delete
+
+describe('Migrations', function() {
+  this.timeout(15000);
+
+  let TestStore, store;
+
+  before(async function() {
+    class Contact extends Model {
+      @primaryKey() id;
+      @field(String) name;
+      @field(String) country;
+    }
+
+    TestStore = class extends LocalStore {
+      @model(Contact) Contact;
+    };
+
+    store = new TestStore({
+      name: 'TestMigrations',
+      url: 'mysql://test@localhost/test'
+    });
+
+    await store.Contact.put({ id: 'contact1', name: 'mvila' });
+    await store.Contact.put({ id: 'contact2', name: 'jack', country: 'USA' });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should run pending migrations when the store is initialized', async function() {
+    class MigratedStore extends TestStore {}
+
+    const upCalls = [];
+    MigratedStore.registerMigration(2, async function(store) {
+      upCalls.push(2);
+      await store.Contact.forEach({}, async function(contact) {
+        contact.name = contact.name.toUpperCase();
+        await contact.save();
+      });
+    });
+    MigratedStore.registerMigration(1, async function(store) {
+      upCalls.push(1);
+      assert.isTrue(store.insideTransaction);
+      await store.Contact.forEach({}, async function(contact) {
+        if (contact.country) return;
+        contact.country = 'France';
+        await contact.save();
+      });
+    });
+
+    assert.throws(function() {
+      MigratedStore.registerMigration(1, async function() {});
+    }, /already registered/);
+
+    const migratedStore = new MigratedStore({
+      name: 'TestMigrations',
+      url: 'mysql://test@localhost/test'
+    });
+    const events = [];
+    migratedStore.on('willMigrate', ({ number }) => events.push('willMigrate' + number));
+    migratedStore.on('didMigrate', ({ number }) => events.push('didMigrate' + number));
+
+    const contacts = await migratedStore.Contact.find();
+    assert.deepEqual(contacts.map(contact => contact.serialize()), [
+      { id: 'contact1', name: 'MVILA', country: 'France' },
+      { id: 'contact2', name: 'JACK', country: 'USA' }
+    ]);
+    assert.deepEqual(upCalls, [1, 2]);
+    assert.deepEqual(events, [
+      'willMigrate1', 'didMigrate1', 'willMigrate2', 'didMigrate2'
+    ]);
+    const record = await migratedStore._loadStoreRecord();
+    assert.strictEqual(record.migrationVersion, 2);
+
+    // Already applied migrations should not run again
+    const otherStore = new MigratedStore({
+      name: 'TestMigrations',
+      url: 'mysql://test@localhost/test'
+    });
+    await otherStore.Contact.count();
+    assert.deepEqual(upCalls, [1, 2]);
+  });
+
+  it('should run migrations while indexes change', async function() {
+    class Contact extends Model {
+      @primaryKey() id;
+      @field(String) name;
+      @field(String) country;
+    }
+
+    class IndexedStore extends LocalStore {
+      @model(Contact, { indexes: ['country'] }) Contact;
+    }
+
+    IndexedStore.registerMigration(3, async function() {});
+
+    const indexedStore = new IndexedStore({
+      name: 'TestMigrations',
+      url: 'mysql://test@localhost/test'
+    });
+    const events = [];
+    indexedStore.on('willMigrate', ({ number }) => events.push('willMigrate' + number));
+    indexedStore.on('didMigrate', ({ number }) => events.push('didMigrate' + number));
+    indexedStore.on('willUpdateIndexes', () => events.push('willUpdateIndexes'));
+
+    const contacts = await indexedStore.Contact.find({ query: { country: 'USA' } });
+    assert.deepEqual(contacts.map(contact => contact.id), ['contact2']);
+    assert.deepEqual(events, ['willUpdateIndexes', 'willMigrate3', 'didMigrate3']);
+  });
+
+  it('should not run migrations on a new store', async function() {
+    class NewStore extends TestStore {}
+
+    let hasBeenCalled = false;
+    NewStore.registerMigration(1, async function() {
+      hasBeenCalled = true;
+    });
+
+    const newStore = new NewStore({
+      name: 'TestMigrationsNewStore',
+      url: 'mysql://test@localhost/test'
+    });
+    try {
+      await newStore.Contact.count();
+      assert.isFalse(hasBeenCalled);
+      const record = await newStore._loadStoreRecord();
+      assert.strictEqual(record.migrationVersion, 1);
+    } finally {
+      await newStore.destroyAll();
+    }
+  });
+}); // Migrations
+
+describe('Key generators', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(function() {
+    class Invoice extends Model {
+      @primaryKey(Number, { generator: 'sequence' }) number;
+      @field(String) customer;
+      @hasMany('InvoiceLine', 'invoiceNumber') lines;
+    }
+
+    class InvoiceLine extends Model {
+      @primaryKey() id;
+      @foreignKey(Number) invoiceNumber;
+      @field(String) product;
+    }
+
+    class Event extends Model {
+      @primaryKey(String, { generator: 'ulid' }) id;
+      @field(String) name;
+    }
+
+    class Device extends Model {
+      @primaryKey(String, { generator: 'uuid' }) id;
+      @field(String) name;
+    }
+
+    class Tag extends Model {
+      @primaryKey(String, {
+        generator(item) {
+          return 'tag-' + item.name.toLowerCase();
+        }
+      }) id;
+      @field(String) name;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Invoice) Invoice;
+      @model(InvoiceLine, { indexes: ['invoiceNumber'] }) InvoiceLine;
+      @model(Event) Event;
+      @model(Device) Device;
+      @model(Tag) Tag;
+    }
+
+    store = new TestStore({
+      name: 'TestKeyGenerators',
+      url: 'mysql://test@localhost/test'
+    });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should reject invalid generators', function() {
+    assert.throws(function() {
+      class Wrong extends Model {
+        @primaryKey(String, { generator: 'sequence' }) id;
+      }
+      return Wrong;
+    }, /requires a Number field/);
+    assert.throws(function() {
+      class Wrong extends Model {
+        @primaryKey(String, { generator: 'unknown' }) id;
+      }
+      return Wrong;
+    }, /Invalid key generator/);
+  });
+
+  it('should generate sequential keys', async function() {
+    const invoice1 = await store.Invoice.put({ customer: 'Jack' });
+    const invoice2 = await store.Invoice.put({ customer: 'Bob' });
+    const invoice3 = await store.Invoice.put({ customer: 'Alice' });
+    assert.strictEqual(invoice2.number, invoice1.number + 1);
+    assert.strictEqual(invoice3.number, invoice2.number + 1);
+  });
+
+  it('should not consume sequence values of aborted transactions', async function() {
+    const invoice = await store.Invoice.put({ customer: 'Jack' });
+    let err;
+    try {
+      await store.transaction(async function(transaction) {
+        await transaction.Invoice.put({ customer: 'Bob' });
+        throw new Error('Abort');
+      });
+    } catch (e) {
+      err = e;
+    }
+    assert.ok(err);
+    const nextInvoice = await store.Invoice.put({ customer: 'Alice' });
+    assert.strictEqual(nextInvoice.number, invoice.number + 1);
+  });
+
+  it('should not reuse keys put explicitly', async function() {
+    const invoice = await store.Invoice.put({ number: 1000, customer: 'Jack' });
+    assert.strictEqual(invoice.number, 1000);
+    const nextInvoice = await store.Invoice.put({ customer: 'Bob' });
+    assert.strictEqual(nextInvoice.number, 1001);
+  });
+
+  it('should generate keys sortable by creation time', async function() {
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      const event = await store.Event.put({ name: 'Event ' + i });
+      assert.match(event.id, /^[0-9A-HJKMNP-TV-Z]{26}$/);
+      ids.push(event.id);
+    }
+    assert.deepEqual(ids.slice().sort(), ids);
+    const events = await store.Event.find();
+    assert.deepEqual(events.map(event => event.id), ids);
+  });
+
+  it('should generate UUIDs', async function() {
+    const device = await store.Device.put({ name: 'Phone' });
+    assert.match(device.id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  });
+
+  it('should generate keys with a custom function', async function() {
+    const tag = await store.Tag.put({ name: 'Urgent' });
+    assert.strictEqual(tag.id, 'tag-urgent');
+    const loadedTag = await store.Tag.get('tag-urgent');
+    assert.strictEqual(loadedTag.name, 'Urgent');
+  });
+
+  it('should include related items of sequential and sparse keys', async function() {
+    const invoice1 = await store.Invoice.put({ customer: 'Jack' });
+    const invoice2 = await store.Invoice.put({ customer: 'Bob' });
+    const invoice3 = await store.Invoice.put({ number: 90000, customer: 'Alice' });
+    await store.InvoiceLine.put({ invoiceNumber: invoice1.number, product: 'Apple' });
+    await store.InvoiceLine.put({ invoiceNumber: invoice2.number, product: 'Pear' });
+    await store.InvoiceLine.put({ invoiceNumber: invoice2.number, product: 'Plum' });
+    await store.InvoiceLine.put({ invoiceNumber: invoice3.number, product: 'Kiwi' });
+    const keys = [invoice1.number, invoice2.number];
+    let invoices = await store.Invoice.getMany(keys, { include: ['lines'] });
+    assert.deepEqual(invoices.map(invoice => invoice.lines.includedItems.length), [1, 2]);
+    invoices = await store.Invoice.getMany(keys.concat(invoice3.number), { include: ['lines'] });
+    assert.deepEqual(invoices.map(invoice => invoice.lines.includedItems.length), [1, 2, 1]);
+    assert.strictEqual(invoices[2].lines.includedItems[0].product, 'Kiwi');
+  });
+}); // Key generators
+
+describe('Query operators', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(async function() {
+    class Account extends Model {
+      @primaryKey() id;
+      @field(Number) accountNumber;
+      @field(String) country;
+      @field(String) name;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Account, { indexes: ['accountNumber', 'name', ['country', 'accountNumber']] }) Account;
+    }
+
+    store = new TestStore({
+      name: 'TestQueryOperators',
+      url: 'mysql://test@localhost/test'
+    });
+
+    await store.Account.put({ id: 'a1', accountNumber: 100, country: 'France', name: 'Vila' });
+    await store.Account.put({ id: 'a2', accountNumber: 200, country: 'Japan', name: 'Villa' });
+    await store.Account.put({ id: 'a3', accountNumber: 300, country: 'France', name: 'Dupont' });
+    await store.Account.put({ id: 'a4', accountNumber: 400, country: 'USA', name: 'Smith' });
+    await store.Account.put({ id: 'a5', accountNumber: 500, country: 'France', name: 'Vincent' });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  function ids(items) {
+    return items.map(item => item.id);
+  }
+
+  it('should find items in a range', async function() {
+    let accounts = await store.Account.find({ query: { accountNumber: { $gte: 200, $lt: 400 } } });
+    assert.deepEqual(ids(accounts), ['a2', 'a3']);
+
+    accounts = await store.Account.find({ query: { accountNumber: { $gt: 200 } } });
+    assert.deepEqual(ids(accounts), ['a3', 'a4', 'a5']);
+
+    accounts = await store.Account.find({ query: { accountNumber: { $lte: 200 } }, reverse: true });
+    assert.deepEqual(ids(accounts), ['a2', 'a1']);
+
+    accounts = await store.Account.find({ query: { accountNumber: { $gt: 100 } }, limit: 2 });
+    assert.deepEqual(ids(accounts), ['a2', 'a3']);
+
+    const count = await store.Account.count({ query: { accountNumber: { $gte: 300 } } });
+    assert.strictEqual(count, 3);
+  });
+
+  it('should combine equalities and operators', async function() {
+    const accounts = await store.Account.find({
+      query: { country: 'France', accountNumber: { $gte: 200 } }
+    });
+    assert.deepEqual(ids(accounts), ['a3', 'a5']);
+  });
+
+  it('should find items with $in and $prefix', async function() {
+    let accounts = await store.Account.find({ query: { accountNumber: { $in: [500, 100, 300] } } });
+    assert.deepEqual(ids(accounts), ['a1', 'a3', 'a5']);
+
+    accounts = await store.Account.find({ query: { accountNumber: { $in: [500, 100, 300] } }, limit: 2 });
+    assert.deepEqual(ids(accounts), ['a1', 'a3']);
+
+    const count = await store.Account.count({ query: { accountNumber: { $in: [200, 400, 600] } } });
+    assert.strictEqual(count, 2);
+
+    accounts = await store.Account.find({ query: { name: { $prefix: 'Vi' } } });
+    assert.deepEqual(ids(accounts), ['a1', 'a2', 'a5']);
+  });
+
+  it('should throw an error when no index can serve a query', async function() {
+    let err = await catchError(async function() {
+      await store.Account.find({ query: { name: 'Vila', accountNumber: { $gt: 100 } } });
+    });
+    assert.instanceOf(err, MissingIndexError);
+    assert.equal(err.className, 'Account');
+    assert.deepEqual(err.suggestedIndex, ['name', 'accountNumber']);
+    assert.include(err.message, '["name","accountNumber"]');
+
+    err = await catchError(async function() {
+      await store.Account.find({ query: { country: 'France' } });
+    });
+    assert.instanceOf(err, MissingIndexError);
+
+    err = await catchError(async function() {
+      await store.Account.find({ query: { accountNumber: { $near: 100 } } });
+    });
+    assert.instanceOf(err, InvalidQueryError);
+    assert.match(err.message, /Unknown query operator/);
+    assert.equal(err.queryKey, 'accountNumber');
+
+    err = await catchError(async function() {
+      await store.Account.find({ query: { country: { $in: 'France' } } });
+    });
+    assert.instanceOf(err, InvalidQueryError);
+    assert.match(err.message, /'\$in' operator requires an array/);
+  });
+
+  it('should explain which index a query uses', async function() {
+    const explanation = await store.Account.find({
+      query: { country: 'France', accountNumber: { $gt: 100, $lte: 300 } },
+      explain: true
+    });
+    assert.deepEqual(explanation.index, ['country', 'accountNumber']);
+    assert.deepEqual(explanation.query, { country: 'France' });
+    assert.equal(explanation.rangeKey, 'accountNumber');
+    assert.deepEqual(explanation.startAfter, [100]);
+    assert.deepEqual(explanation.end, [300]);
+    assert.isFalse(explanation.isFiltered);
+  });
+}); // Query operators
+
+describe('Pagination', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(async function() {
+    class User extends Model {
+      @primaryKey() id;
+      @field(String) name;
+      @hasMany('Photo', 'userId') photos;
+    }
+
+    class Photo extends Model {
+      @primaryKey() id;
+      @foreignKey() userId;
+      @field(Number) rating;
+    }
+
+    class TestStore extends LocalStore {
+      @model(User) User;
+      @model(Photo, { indexes: ['userId', 'rating'] }) Photo;
+    }
+
+    store = new TestStore({
+      name: 'TestPagination',
+      url: 'mysql://test@localhost/test'
+    });
+
+    await store.User.put({ id: 'user1', name: 'Jack' });
+    await store.User.put({ id: 'user2', name: 'Bob' });
+    await store.Photo.put({ id: 'photo1', userId: 'user1', rating: 3 });
+    await store.Photo.put({ id: 'photo2', userId: 'user1', rating: 5 });
+    await store.Photo.put({ id: 'photo3', userId: 'user2', rating: 1 });
+    await store.Photo.put({ id: 'photo4', userId: 'user1', rating: 4 });
+    await store.Photo.put({ id: 'photo5', userId: 'user1', rating: 2 });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  async function paginateAll(model, options) {
+    const pages = [];
+    let cursor;
+    do {
+      const page = await model.paginate(Object.assign({}, options, { cursor }));
+      pages.push(page.items.map(item => item.id));
+      cursor = page.nextCursor;
+      assert.strictEqual(page.hasMore, Boolean(cursor));
+    } while (cursor);
+    return pages;
+  }
+
+  it('should paginate items', async function() {
+    const pages = await paginateAll(store.Photo, { limit: 2 });
+    assert.deepEqual(pages, [['photo1', 'photo2'], ['photo3', 'photo4'], ['photo5']]);
+  });
+
+  it('should paginate items in the order of an index', async function() {
+    let pages = await paginateAll(store.Photo, { order: ['rating'], limit: 2 });
+    assert.deepEqual(pages, [['photo3', 'photo5'], ['photo1', 'photo4'], ['photo2']]);
+
+    pages = await paginateAll(store.Photo, { query: { rating: { $gte: 2 } }, limit: 3, reverse: true });
+    assert.deepEqual(pages, [['photo2', 'photo4', 'photo1'], ['photo5']]);
+  });
+
+  it('should paginate the items of a relation', async function() {
+    const user = await store.User.get('user1');
+    const pages = await paginateAll(user.photos, { limit: 3 });
+    assert.deepEqual(pages, [['photo1', 'photo2', 'photo4'], ['photo5']]);
+  });
+
+  it('should reject a cursor made for another query', async function() {
+    const page = await store.Photo.paginate({ order: ['rating'], limit: 2 });
+    const err = await catchError(async function() {
+      await store.Photo.paginate({ cursor: page.nextCursor, limit: 2 });
+    });
+    assert.instanceOf(err, InvalidQueryError);
+    assert.match(err.message, /Cursor does not match the query/);
+  });
+}); // Pagination
+
+describe('Iteration', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(async function() {
+    class Person extends Model {
+      @primaryKey() id;
+      @field(String) name;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Person) Person;
+    }
+
+    store = new TestStore({
+      name: 'TestIteration',
+      url: 'mysql://test@localhost/test'
+    });
+
+    for (let i = 1; i <= 5; i++) {
+      await store.Person.put({ id: 'person' + i, name: 'Person ' + i });
+    }
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should iterate over items with an async iterator', async function() {
+    const iterator = store.Person.iterate();
+    assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+    const ids = [];
+    while (true) {
+      const { value, done } = await iterator.next();
+      if (done) break;
+      ids.push(value.id);
+    }
+    assert.deepEqual(ids, ['person1', 'person2', 'person3', 'person4', 'person5']);
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+  });
+
+  it('should stop the iteration when the iterator is closed', async function() {
+    const iterator = store.Person.iterate();
+    const { value } = await iterator.next();
+    assert.equal(value.id, 'person1');
+    assert.deepEqual(await iterator.return(), { value: undefined, done: true });
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+  });
+
+  it('should pass errors to the consumer', async function() {
+    const iterator = store.Person.iterate({ query: { name: 'Person 1' } });
+    const err = await catchError(async function() {
+      await iterator.next();
+    });
+    assert.instanceOf(err, MissingIndexError);
+  });
+
+  it('should provide a readable stream', async function() {
+    const stream = createItemStream(store.Person.iterate());
+    const ids = await new Promise(function(resolve, reject) {
+      const ids = [];
+      stream.on('data', person => ids.push(person.id));
+      stream.on('end', () => resolve(ids));
+      stream.on('error', reject);
+    });
+    assert.deepEqual(ids, ['person1', 'person2', 'person3', 'person4', 'person5']);
+  });
+}); // Iteration
+
+describe('Watching', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(async function() {
+    class User extends Model {
+      @primaryKey() id;
+      @field(String) name;
+      @hasMany('Photo', 'userId') photos;
+    }
+
+    class Photo extends Model {
+      @primaryKey() id;
+      @foreignKey() userId;
+      @field(Number) rating;
+    }
+
+    class TestStore extends LocalStore {
+      @model(User) User;
+      @model(Photo, { indexes: ['userId'] }) Photo;
+    }
+
+    store = new TestStore({
+      name: 'TestWatching',
+      url: 'mysql://test@localhost/test'
+    });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  function makeListener() {
+    const events = [];
+    function listener({ type, item }) {
+      events.push(type + ':' + item.id);
+    }
+    listener.events = events;
+    return listener;
+  }
+
+  it('should deliver changes of the items matching a query', async function() {
+    const listener = makeListener();
+    const unwatch = store.Photo.watch({ query: { rating: { $gte: 3 } } }, listener);
+
+    const photo = await store.Photo.put({ id: 'photo1', rating: 4 });
+    await store.Photo.put({ id: 'photo2', rating: 1 });
+    photo.rating = 5;
+    await photo.save();
+    photo.rating = 2;
+    await photo.save();
+    photo.rating = 3;
+    await photo.save();
+    await photo.delete();
+    const photo2 = await store.Photo.get('photo2');
+    await photo2.delete();
+    assert.deepEqual(listener.events, [
+      'added:photo1', 'updated:photo1', 'removed:photo1', 'added:photo1', 'removed:photo1'
+    ]);
+
+    unwatch();
+    await store.Photo.put({ id: 'photo3', rating: 4 });
+    assert.strictEqual(listener.events.length, 5);
+    await store.Photo.delete('photo3');
+  });
+
+  it('should watch the items of a relation', async function() {
+    const user = await store.User.put({ id: 'user1', name: 'Jack' });
+    const listener = makeListener();
+    const unwatch = user.photos.watch(listener);
+
+    await user.photos.put({ id: 'photo4', rating: 3 });
+    await store.Photo.put({ id: 'photo5', userId: 'user2', rating: 3 });
+    await store.Photo.delete('photo4');
+    assert.deepEqual(listener.events, ['added:photo4', 'removed:photo4']);
+
+    unwatch();
+    await store.Photo.delete('photo5');
+    await user.delete();
+  });
+
+  it('should deliver the changes of a transaction after the commit', async function() {
+    const listener = makeListener();
+    const unwatch = store.Photo.watch(listener);
+
+    await catchError(async function() {
+      await store.transaction(async function(transaction) {
+        await transaction.Photo.put({ id: 'photo6', rating: 3 });
+        throw new Error('Abort');
+      });
+    });
+    assert.deepEqual(listener.events, []);
+
+    await store.transaction(async function(transaction) {
+      await transaction.Photo.put({ id: 'photo7', rating: 3 });
+      assert.deepEqual(listener.events, []);
+    });
+    assert.deepEqual(listener.events, ['added:photo7']);
+
+    unwatch();
+    await store.Photo.delete('photo7');
+  });
+
+  it('should not fail a write because of a failing listener', async function() {
+    const errors = [];
+    store.log = { info() {}, trace() {}, error(message) { errors.push(message); } };
+    const unwatchFailing = store.Photo.watch(function() {
+      throw new Error('Listener failed');
+    });
+    const listener = makeListener();
+    const unwatch = store.Photo.watch(listener);
+
+    await store.Photo.put({ id: 'photo8', rating: 3 });
+    await store.transaction(async function(transaction) {
+      await transaction.Photo.put({ id: 'photo9', rating: 3 });
+    });
+    assert.deepEqual(listener.events, ['added:photo8', 'added:photo9']);
+    assert.lengthOf(errors, 2);
+    assert.match(errors[0], /Listener failed/);
+    assert.strictEqual(await store.Photo.count(), 2);
+
+    unwatchFailing();
+    unwatch();
+    store.log = undefined;
+    await store.Photo.delete('photo8');
+    await store.Photo.delete('photo9');
+  });
+}); // Watching
+
+describe('Identity map', function() {
+  this.timeout(15000);
+
+  let TestStore, store;
+
+  before(async function() {
+    class Person extends Model {
+      @primaryKey() id;
+      @field(String) name;
+      @field(String) country;
+    }
+
+    TestStore = class extends LocalStore {
+      @model(Person, { indexes: ['country'] }) Person;
+    };
+
+    store = new TestStore({
+      name: 'TestIdentityMap',
+      url: 'mysql://test@localhost/test',
+      identityMap: true
+    });
+
+    await store.Person.put({ id: 'person1', name: 'Jack', country: 'USA' });
+    await store.Person.put({ id: 'person2', name: 'Bob', country: 'USA' });
+    store.clearIdentityMap();
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should return the same instance for the same key', async function() {
+    const person = await store.Person.get('person1');
+    assert.strictEqual(await store.Person.get('person1'), person);
+    const people = await store.Person.find({ query: { country: 'USA' } });
+    assert.strictEqual(people[0], person);
+    const [samePerson] = await store.Person.getMany(['person1']);
+    assert.strictEqual(samePerson, person);
+    await store.Person.forEach({}, function(item) {
+      if (item.id === 'person1') assert.strictEqual(item, person);
+    });
+  });
+
+  it('should update the instance when an item is loaded again', async function() {
+    const person = await store.Person.get('person2');
+    const otherScope = store.scope();
+    const otherPerson = await otherScope.Person.get('person2');
+    assert.notStrictEqual(otherPerson, person);
+    otherPerson.name = 'Bobby';
+    await otherPerson.save();
+    assert.equal(person.name, 'Bob');
+    await store.Person.get('person2');
+    assert.equal(person.name, 'Bobby');
+    assert.isFalse(person.isModified);
+  });
+
+  it('should have an identity map per transaction', async function() {
+    const person = await store.Person.get('person1');
+    await store.transaction(async function(transaction) {
+      const transactionPerson = await transaction.Person.get('person1');
+      assert.notStrictEqual(transactionPerson, person);
+      assert.strictEqual(await transaction.Person.get('person1'), transactionPerson);
+    });
+  });
+
+  it('should clear the identity map', async function() {
+    const person = await store.Person.get('person1');
+    store.clearIdentityMap();
+    assert.notStrictEqual(await store.Person.get('person1'), person);
+  });
+
+  it('should not use an identity map by default', async function() {
+    const otherStore = new TestStore({ name: 'TestIdentityMap', url: 'mysql://test@localhost/test' });
+    const person = await otherStore.Person.get('person1');
+    assert.notStrictEqual(await otherStore.Person.get('person1'), person);
+    const scope = otherStore.scope();
+    assert.strictEqual(await scope.Person.get('person1'), await scope.Person.get('person1'));
+  });
+}); // Identity map
+
+describe('Cache plugin', function() {
+  this.timeout(15000);
+
+  let store, cache;
+
+  before(async function() {
+    class Country extends Model {
+      @primaryKey() code;
+      @field(String) name;
+    }
+
+    class Person extends Model {
+      @primaryKey() id;
+      @field(String) name;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Country) Country;
+      @model(Person) Person;
+    }
+
+    store = new TestStore({
+      name: 'TestCachePlugin',
+      url: 'mysql://test@localhost/test'
+    });
+
+    cache = new CachePlugin({ models: ['Country'], maxSize: 2, ttl: 100 });
+    store.use(cache);
+
+    await store.Country.put({ code: 'FR', name: 'France' });
+    await store.Country.put({ code: 'JP', name: 'Japan' });
+    await store.Country.put({ code: 'US', name: 'United States' });
+    await store.Person.put({ id: 'person1', name: 'Jack' });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  beforeEach(function() {
+    cache.clear();
+    cache.resetStats();
+  });
+
+  it('should serve items from memory', async function() {
+    const country = await store.Country.get('FR');
+    const sameCountry = await store.Country.get('FR');
+    assert.notStrictEqual(sameCountry, country);
+    assert.equal(sameCountry.name, 'France');
+    assert.deepEqual(cache.getStats(), { hits: 1, misses: 1, hitRate: 0.5, size: 1 });
+
+    const countries = await store.Country.getMany(['FR', 'JP']);
+    assert.deepEqual(countries.map(country => country.code).sort(), ['FR', 'JP']);
+    assert.deepEqual(cache.getStats(), { hits: 2, misses: 2, hitRate: 0.5, size: 2 });
+
+    await store.Person.get('person1');
+    assert.strictEqual(cache.getStats().size, 2);
+  });
+
+  it('should evict the least recently used items', async function() {
+    await store.Country.get('FR');
+    await store.Country.get('JP');
+    await store.Country.get('FR');
+    await store.Country.get('US'); // evicts 'JP'
+    cache.resetStats();
+    await store.Country.getMany(['FR', 'JP', 'US']);
+    assert.strictEqual(cache.getStats().hits, 2);
+    assert.strictEqual(cache.getStats().misses, 1);
+  });
+
+  it('should evict expired items', async function() {
+    await store.Country.get('FR');
+    await new Promise(resolve => setTimeout(resolve, 150));
+    await store.Country.get('FR');
+    assert.strictEqual(cache.getStats().misses, 2);
+  });
+
+  it('should be invalidated when an item is saved or deleted', async function() {
+    const country = await store.Country.get('JP');
+    country.name = 'Nippon';
+    await country.save();
+    assert.equal((await store.Country.get('JP')).name, 'Nippon');
+    assert.strictEqual(cache.getStats().hits, 0);
+
+    await store.Country.delete('JP');
+    const deletedCountry = await store.Country.get('JP', { errorIfMissing: false });
+    assert.isUndefined(deletedCountry);
+  });
+
+  it('should be bypassed inside transactions', async function() {
+    await store.Country.get('FR');
+    await store.transaction(async function(transaction) {
+      await transaction.Country.get('FR');
+    });
+    assert.deepEqual(cache.getStats(), { hits: 0, misses: 1, hitRate: 0, size: 1 });
+  });
+}); // Cache plugin
+
+describe('Middlewares', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(async function() {
+    class Country extends Model {
+      @primaryKey() code;
+      @field(String) name;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Country) Country;
+    }
+
+    store = new TestStore({
+      name: 'TestMiddlewares',
+      url: 'mysql://test@localhost/test'
+    });
+
+    await store.Country.put({ code: 'FR', name: 'France' });
+    await store.Country.put({ code: 'JP', name: 'Japan' });
+    await store.Country.put({ code: 'US', name: 'United States' });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should run in the order they were added', async function() {
+    const scope = store.scope({ identityMap: false });
+    const calls = [];
+    scope.use(async function(context, next) {
+      calls.push('first:' + context.operation);
+      const result = await next();
+      calls.push('first:done');
+      return result;
+    });
+    scope.use(async function(context, next) {
+      assert.strictEqual(context.store, scope);
+      assert.strictEqual(context.model, scope.Country);
+      assert.equal(context.item.code, 'FR');
+      calls.push('second:' + context.operation);
+      const result = await next();
+      calls.push('second:done');
+      return result;
+    });
+    await scope.Country.get('FR');
+    assert.deepEqual(calls, ['first:get', 'second:get', 'second:done', 'first:done']);
+
+    // middlewares added to a scope are not added to the store
+    calls.length = 0;
+    await store.Country.get('FR');
+    assert.deepEqual(calls, []);
+  });
+
+  it('should allow to rewrite options and post-process results', async function() {
+    const scope = store.scope({ identityMap: false });
+    scope.use(async function(context, next) {
+      if (context.operation !== 'find') return await next();
+      context.options.limit = 2;
+      const items = await next();
+      return items.filter(item => item.code !== 'FR');
+    });
+    const countries = await scope.Country.find();
+    assert.deepEqual(countries.map(country => country.code), ['JP']);
+  });
+
+  it('should allow to short-circuit operations', async function() {
+    const scope = store.scope({ identityMap: false });
+    scope.use(async function(context, next) {
+      if (context.operation === 'count') return 42;
+      return await next();
+    });
+    assert.strictEqual(await scope.Country.count(), 42);
+    assert.strictEqual(await store.Country.count(), 3);
+  });
+
+  it('should run around transactions', async function() {
+    const scope = store.scope({ identityMap: false });
+    const operations = [];
+    scope.use(async function(context, next) {
+      operations.push(context.operation);
+      return await next();
+    });
+    await scope.transaction(async function(transaction) {
+      await transaction.Country.get('JP');
+    });
+    assert.deepEqual(operations, ['transaction', 'get']);
+  });
+}); // Middlewares
+
+describe('History', function() {
+  this.timeout(15000);
+
+  let store;
+
+  before(async function() {
+    class Person extends Model {
+      @primaryKey() id;
+      @field(String) name;
+      @field(String) email;
+      @version() version;
+    }
+
+    class Country extends Model {
+      @primaryKey() code;
+      @field(String) name;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Person, { history: true }) Person;
+      @model(Country) Country;
+    }
+
+    store = new TestStore({
+      name: 'TestHistory',
+      url: 'mysql://test@localhost/test',
+      context: { actor: 'admin' }
+    });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should record puts and deletes', async function() {
+    const person = await store.Person.put({ id: 'person1', name: 'Jack' });
+    person.name = 'John';
+    person.email = 'john@domain.com';
+    await person.save({ source: 'import' });
+    await person.save(); // nothing changed but the version
+    await person.delete();
+
+    const entries = await store.Person.getHistory('person1');
+    assert.deepEqual(entries.map(entry => entry.operation), ['put', 'put', 'put', 'delete']);
+    assert.deepEqual(entries[0].changes.name, { to: 'Jack' });
+    assert.deepEqual(entries[1].changes.name, { from: 'Jack', to: 'John' });
+    assert.deepEqual(entries[1].changes.email, { to: 'john@domain.com' });
+    assert.deepEqual(entries[2].changes, { version: { from: 2, to: 3 } });
+    assert.deepEqual(entries[3].changes.name, { from: 'John' });
+    assert.strictEqual(entries[1].source, 'import');
+    assert.strictEqual(entries[1].actor, 'admin');
+    assert.instanceOf(entries[1].date, Date);
+    assert.strictEqual(entries[1].itemClassName, 'Person');
+    assert.strictEqual(entries[1].itemKey, 'person1');
+
+    const err = await catchError(() => store.Country.getHistory('FR'));
+    assert.match(err.message, /history is not enabled/i);
+  });
+
+  it('should not record a put in a failed transaction', async function() {
+    await store.Person.put({ id: 'person2', name: 'Bob' });
+    await catchError(() => store.transaction(async function(transaction) {
+      await transaction.Person.put({ id: 'person2', name: 'Robert' }, { expectedVersion: 1 });
+      throw new Error('Rollback');
+    }));
+    const person = await store.Person.get('person2');
+    assert.strictEqual((await person.getHistory()).length, 1);
+  });
+
+  it('should revert an item to a previous version', async function() {
+    const person = await store.Person.put({ id: 'person3', name: 'Jack', email: 'jack@domain.com' });
+    person.name = 'John';
+    person.email = undefined;
+    await person.save();
+    const entries = await person.getHistory();
+
+    await person.revert(entries[0].key);
+    assert.strictEqual(person.name, 'Jack');
+    assert.strictEqual(person.email, 'jack@domain.com');
+    assert.strictEqual(person.version, 3);
+    const loadedPerson = await store.Person.get('person3');
+    assert.strictEqual(loadedPerson.name, 'Jack');
+
+    await person.delete();
+    const revertedPerson = await store.Person.revert('person3', entries[1].key);
+    assert.strictEqual(revertedPerson.name, 'John');
+    assert.isUndefined(revertedPerson.email);
+    assert.strictEqual((await store.Person.get('person3')).name, 'John');
+    const history = await revertedPerson.getHistory();
+    assert.strictEqual(history.length, 5);
+
+    // the item did not exist after its deletion
+    const err = await catchError(() => store.Person.revert('person3', history[3].key));
+    assert.instanceOf(err, InvalidOperationError);
+    assert.equal(err.key, 'person3');
+  });
+
+  it('should export and import the history with an archive', async function() {
+    let archive = '';
+    const output = new PassThrough();
+    output.on('data', data => archive += data);
+    await store.exportArchive(output);
+
+    const otherStore = new store.constructor({
+      name: 'TestHistoryArchive',
+      url: 'mysql://test@localhost/test'
+    });
+    try {
+      const input = new PassThrough();
+      input.end(archive);
+      await otherStore.importArchive(input);
+      const entries = await otherStore.Person.getHistory('person3');
+      const originalEntries = await store.Person.getHistory('person3');
+      assert.deepEqual(entries.map(entry => entry.key), originalEntries.map(entry => entry.key));
+      assert.deepEqual(entries[0].changes, originalEntries[0].changes);
+    } finally {
+      await otherStore.destroyAll();
+    }
+  });
+}); // History
+
+describe('Changes', function() {
+  this.timeout(15000);
+
+  let store, savedChanges;
+
+  before(async function() {
+    class Person extends Model {
+      @primaryKey() id;
+      @field(String) name;
+      @field(String) email;
+      @version() version;
+    }
+
+    Person.prototype.on('willSave', function(options, changes) {
+      savedChanges = { willSave: changes };
+    });
+    Person.prototype.on('didSave', function(options, changes) {
+      savedChanges.didSave = changes;
+    });
+
+    class TestStore extends LocalStore {
+      @model(Person) Person;
+    }
+
+    store = new TestStore({
+      name: 'TestChanges',
+      url: 'mysql://test@localhost/test'
+    });
+  });
+
+  after(async function() {
+    await store.destroyAll();
+  });
+
+  it('should return the changes against the saved item', async function() {
+    const person = store.Person.unserialize({ id: 'person1', name: 'Jack' });
+    assert.deepEqual(person.getChanges(), { id: { to: 'person1' }, name: { to: 'Jack' } });
+    await person.save();
+    assert.deepEqual(person.getChanges(), {});
+    person.name = 'John';
+    person.email = 'john@domain.com';
+    assert.deepEqual(person.getChanges(), {
+      name: { from: 'Jack', to: 'John' },
+      email: { to: 'john@domain.com' }
+    });
+  });
+
+  it('should pass the changes to willSave and didSave listeners', async function() {
+    const person = await store.Person.put({ id: 'person2', name: 'Bob' });
+    person.name = 'Robert';
+    await person.save();
+    assert.deepEqual(savedChanges.willSave, { name: { from: 'Bob', to: 'Robert' } });
+    assert.deepEqual(savedChanges.didSave, {
+      name: { from: 'Bob', to: 'Robert' },
+      version: { from: 1, to: 2 }
+    });
+  });
+
+  it('should patch only the specified fields', async function() {
+    await store.Person.put({ id: 'person3', name: 'Jack', email: 'jack@domain.com' });
+    const person = await store.Person.get('person3');
+    const samePerson = await store.Person.get('person3');
+
+    person.name = 'John';
+    await person.patch();
+    assert.strictEqual(person.version, 2);
+    assert.deepEqual(savedChanges.willSave, { name: { from: 'Jack', to: 'John' } });
+
+    // 'samePerson' is outdated but patching another field does not conflict
+    samePerson.email = 'john@domain.com';
+    await samePerson.patch();
+    assert.strictEqual(samePerson.name, 'John');
+    assert.strictEqual(samePerson.version, 3);
+    assert.isFalse(samePerson.isModified);
+
+    const patchedPerson = await store.Person.patch('person3', { name: 'Johnny' });
+    assert.strictEqual(patchedPerson.name, 'Johnny');
+    assert.strictEqual(patchedPerson.email, 'john@domain.com');
+
+    const err = await catchError(() => store.Person.patch('person3', { age: 42 }));
+    assert.instanceOf(err, InvalidOperationError);
+    assert.match(err.message, /unknown field/);
+    const missingErr = await catchError(() => store.Person.patch('person4', { name: 'Bob' }));
+    assert.instanceOf(missingErr, NotFoundError);
+  });
+}); // Changes
+
+describe('Schema', function() {
+  it('should describe the registered models', function() {
+    class Element extends Model {
+      @primaryKey() id;
+      @createdOn() createdOn;
+    }
+
+    class Person extends Element {
+      @field(String, { validators: ['filled'] }) name;
+      @foreignKey() companyId;
+      @version() version;
+      @belongsTo('Company', 'companyId') company;
+    }
+
+    class Company extends Element {
+      @field(String) name;
+      @hasMany('Person', 'companyId', { onDelete: 'restrict' }) employees;
+    }
+
+    class TestStore extends LocalStore {
+      @model(Element) Element;
+      @model(Person, { indexes: ['companyId', ['name', 'createdOn']], unique: 'name', history: true }) Person;
+      @model(Company) Company;
+    }
+
+    const store = new TestStore({
+      name: 'TestSchema',
+      url: 'mysql://test@localhost/test'
+    });
+
+    const schema = store.describeSchema();
+    assert.strictEqual(schema.name, 'TestSchema');
+    assert.deepEqual(schema.models.map(description => description.name), ['Element', 'Person', 'Company']);
+    assert.deepEqual(schema.models[1], {
+      name: 'Person',
+      classNames: ['Person', 'Element'],
+      primaryKey: 'id',
+      fields: [
+        { name: 'name', type: 'String', validators: ['filled'] },
+        { name: 'companyId', type: 'String', isForeignKey: true, keyGenerator: 'random' },
+        { name: 'version', type: 'Number', role: 'version' },
+        { name: 'id', type: 'String', isPrimaryKey: true, keyGenerator: 'random' },
+        { name: 'createdOn', type: 'Date', role: 'createdOn' }
+      ],
+      relations: [
+        { name: 'company', type: 'BELONGS_TO', className: 'Company', foreignKey: 'companyId' }
+      ],
+      indexes: [['companyId'], ['name', 'createdOn']],
+      unique: [['name']],
+      history: true
+    });
+    assert.deepEqual(schema.models[2].relations, [
+      { name: 'employees', type: 'HAS_MANY', className: 'Person', foreignKey: 'companyId', onDelete: 'restrict' }
+    ]);
+  });
+}); // Schema
+
+describe('Index changes', function() {
+  this.timeout(15000);
+
+  class Person extends Model {
+    @primaryKey() id;
+    @field(String) firstName;
+    @field(String) lastName;
+  }
+
+  function makeStore(indexes) {
+    class TestStore extends LocalStore {
+      @model(Person, { indexes }) Person;
+    }
+
+    return new TestStore({
+      name: 'TestIndexChanges',
+      url: 'mysql://test@localhost/test'
+    });
+  }
+
+  function initial(person) {
+    return person.lastName && person.lastName.charAt(0);
+  }
+  initial.displayName = 'initial';
+
+  function lowerCaseInitial(person) {
+    return person.lastName && person.lastName.charAt(0).toLowerCase();
+  }
+  lowerCaseInitial.displayName = 'initial';
+
+  after(async function() {
+    await makeStore([]).destroyAll();
+  });
+
+  it('should build, rebuild and drop changed indexes', async function() {
+    let store = makeStore(['lastName', [initial]]);
+    assert.deepEqual(await store.getPendingIndexChanges(), [
+      { type: 'add', className: 'Person', keys: [] },
+      { type: 'add', className: 'Person', keys: ['lastName'] },
+      { type: 'add', className: 'Person', keys: ['initial'] }
+    ]);
+    await store.Person.put({ id: 'person1', firstName: 'Jack', lastName: 'Smith' });
+    await store.Person.put({ id: 'person2', firstName: 'Bob', lastName: 'Sinclair' });
+    assert.deepEqual(await store.getPendingIndexChanges(), []);
+    assert.strictEqual((await store.Person.find({ query: { initial: 'S' } })).length, 2);
+
+    store = makeStore([[lowerCaseInitial], 'firstName']);
+    assert.deepEqual(await store.getPendingIndexChanges(), [
+      { type: 'add', className: 'Person', keys: ['firstName'] },
+      { type: 'remove', className: 'Person', keys: ['lastName'] },
+      { type: 'update', className: 'Person', keys: ['initial'] }
+    ]);
+
+    const events = [];
+    store.on('willUpdateIndexes', changes => events.push('willUpdateIndexes:' + changes.length));
+    store.on('indexProgress', ({ keys, count }) => events.push(`indexProgress:${keys.join('+')}:${count}`));
+    store.on('didUpdateIndexes', changes => events.push('didUpdateIndexes:' + changes.length));
+    await store.initializeStore();
+    assert.deepEqual(events, [
+      'willUpdateIndexes:3', 'indexProgress:firstName:2',
+      'indexProgress:initial:2', 'didUpdateIndexes:3'
+    ]);
+    assert.deepEqual(await store.getPendingIndexChanges(), []);
+
+    assert.strictEqual((await store.Person.find({ query: { initial: 's' } })).length, 2);
+    assert.strictEqual((await store.Person.find({ query: { initial: 'S' } })).length, 0);
+    const people = await store.Person.find({ query: { firstName: 'Jack' } });
+    assert.deepEqual(people.map(person => person.id), ['person1']);
+  });
+}); // Index changes
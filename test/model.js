@@ -1,7 +1,7 @@
 'use strict';
 
 import { assert } from 'chai';
-import { Model, primaryKey, foreignKey, field, createdOn, updatedOn, hasMany } from '../src';
+import { Model, ObjectLayerError, ValidationError, primaryKey, foreignKey, field, createdOn, updatedOn, hasMany } from '../src';
 
 describe('Model', function() {
   it('should provide decorators to easily define fields', function() {
@@ -52,4 +52,61 @@ describe('Model', function() {
     assert.equal(relation.foreignKey, 'personId');
     assert.equal(relation.type, 'HAS_MANY');
   });
+
+  it('should throw a ValidationError when an item is invalid', function() {
+    class Person extends Model {
+      @primaryKey() id;
+      @field(String, { validators: ['filled'] }) name;
+    }
+
+    const person = new Person({ id: 'person1' });
+    let err;
+    try {
+      person.validate();
+    } catch (e) {
+      err = e;
+    }
+    assert.instanceOf(err, ValidationError);
+    assert.instanceOf(err, Error);
+    assert.equal(err.code, 'VALIDATION_FAILED');
+    assert.equal(err.key, 'person1');
+    assert.deepEqual(err.reasons, [{ failedValidator: 'filled', path: 'name' }]);
+
+    // errors can be transported as JSON
+    const json = JSON.parse(JSON.stringify(err));
+    assert.equal(json.code, 'VALIDATION_FAILED');
+    const rebuiltErr = ObjectLayerError.fromJSON(json);
+    assert.instanceOf(rebuiltErr, ValidationError);
+    assert.equal(rebuiltErr.message, err.message);
+    assert.equal(rebuiltErr.key, 'person1');
+    assert.deepEqual(rebuiltErr.reasons, err.reasons);
+  });
+
+  it('should export a JSON Schema', function() {
+    class Address extends Model {
+      @field(String) city;
+    }
+
+    class Person extends Model {
+      @primaryKey() id;
+      @field(String, { validators: ['filled', 'maxLength(50)'] }) name;
+      @field(Number, { validators: ['positive'] }) age;
+      @field(Address) address;
+      @createdOn() createdOn;
+    }
+
+    assert.deepEqual(Person.toJSONSchema(), {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      title: 'Person',
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string', minLength: 1, maxLength: 50 },
+        age: { type: 'number', exclusiveMinimum: 0 },
+        address: { type: 'object', properties: { city: { type: 'string' } } },
+        createdOn: { type: 'string', format: 'date-time' }
+      },
+      required: ['name']
+    });
+  });
 }); // Model
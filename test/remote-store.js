@@ -0,0 +1,255 @@
+'use strict';
+
+import http from 'http';
+import { parse as parseURL } from 'url';
+import { assert } from 'chai';
+import { RemoteStore, model, Model, primaryKey, field } from '../src';
+
+async function catchError(fn) {
+  let err;
+  try {
+    await fn();
+  } catch (e) {
+    err = e;
+  }
+  return err;
+}
+
+// A minimal HTTP server storing 'Person' items in memory
+function createStubServer() {
+  const instances = {};
+  let lastKey = 0;
+  const requests = [];
+
+  function parseOptions(query) {
+    const options = {};
+    for (const name of Object.keys(query)) options[name] = JSON.parse(query[name]);
+    return options;
+  }
+
+  function makeResult(key) {
+    return { classes: ['Person'], key, instance: instances[key] };
+  }
+
+  function findKeys(query) {
+    let keys = Object.keys(instances).sort();
+    if (query) {
+      keys = keys.filter(key => {
+        return Object.keys(query).every(name => instances[key][name] === query[name]);
+      });
+    }
+    return keys;
+  }
+
+  function handle(method, path, options, body) {
+    const [className, key, methodName] = path;
+    if (className !== 'Person') return [404, { message: 'Model not found' }];
+    if (key === '$count') {
+      return [200, Object.keys(instances).length];
+    }
+    if (key === '$paginate') {
+      // cursors are the key of the last item
+      let keys = findKeys(options.query);
+      if (options.cursor) keys = keys.filter(key => key > options.cursor);
+      const items = keys.slice(0, options.limit).map(makeResult);
+      const hasMore = keys.length > options.limit;
+      const nextCursor = hasMore ? items[items.length - 1].key : undefined;
+      return [200, { items, nextCursor, hasMore }];
+    }
+    if (key === '$getMany') {
+      return [200, options.keys.filter(key => instances[key]).map(makeResult)];
+    }
+    if (key === '$greet') {
+      return [200, `Hello, ${options.name}!`];
+    }
+    if (key && methodName === 'rename') {
+      instances[key].firstName = body.firstName;
+      return [200, true];
+    }
+    if (key) {
+      if (method === 'GET') {
+        if (instances[key]) return [200, makeResult(key)];
+        if (options.errorIfMissing === false) return [200, null];
+        return [404, { message: 'Item not found' }];
+      }
+      if (method === 'PUT') {
+        if (options.errorIfExists && instances[key]) {
+          return [409, { message: 'Item already exists' }];
+        }
+        instances[key] = body;
+        return [200, makeResult(key)];
+      }
+      if (method === 'DELETE') {
+        if (!instances[key]) {
+          if (options.errorIfMissing === false) return [200, false];
+          return [404, { message: 'Item not found' }];
+        }
+        delete instances[key];
+        return [200, true];
+      }
+    }
+    if (method === 'POST') {
+      const newKey = 'key' + ++lastKey;
+      instances[newKey] = Object.assign({ id: newKey }, body);
+      return [200, makeResult(newKey)];
+    }
+    let keys = findKeys(options.query);
+    if (method === 'GET') {
+      if (options.limit) keys = keys.slice(0, options.limit);
+      return [200, keys.map(makeResult)];
+    }
+    if (method === 'DELETE') {
+      for (const key of keys) delete instances[key];
+      return [200, keys.length];
+    }
+    return [405, { message: 'Method not allowed' }];
+  }
+
+  const server = http.createServer(function(req, res) {
+    const url = parseURL(req.url, true);
+    const path = url.pathname.split('/').slice(1).map(decodeURIComponent);
+    const options = parseOptions(url.query);
+    let data = '';
+    req.on('data', chunk => data += chunk);
+    req.on('end', function() {
+      requests.push({ method: req.method, path, options });
+      const body = data ? JSON.parse(data) : undefined;
+      const [status, result] = handle(req.method, path, options, body);
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(result));
+    });
+  });
+
+  server.requests = requests;
+  return server;
+}
+
+describe('RemoteStore', function() {
+  let server, store;
+
+  before(function(done) {
+    class Person extends Model {
+      @primaryKey() id;
+      @field(String) firstName;
+      @field(String) country;
+    }
+
+    class TestStore extends RemoteStore {
+      @model(Person) Person;
+    }
+
+    server = createStubServer();
+    server.listen(0, function() {
+      store = new TestStore({
+        name: 'TestRemoteStore',
+        url: `http://localhost:${server.address().port}/`
+      });
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  it('should make URLs', function() {
+    const base = store.url.replace(/\/$/, '');
+    assert.equal(store.Person.makeURL(), `${base}/Person`);
+    assert.equal(store.Person.makeURL('count'), `${base}/Person/$count`);
+    const item = new store.Person('abc');
+    assert.equal(item.makeURL('rename', { force: true }), `${base}/Person/abc/rename?force=true`);
+  });
+
+  it('should be able to put, get and delete some items', async function() {
+    const mvila = new store.Person({ firstName: 'Manuel', country: 'Japan' });
+    await mvila.save();
+    assert.ok(mvila.id); // generated by the server
+    assert.isFalse(mvila.isNew);
+
+    const item = await store.Person.get(mvila.id);
+    assert.strictEqual(item.firstName, 'Manuel');
+
+    item.country = 'France';
+    await item.save();
+    assert.isFalse(item.isModified);
+
+    const hasBeenDeleted = await item.delete();
+    assert.isTrue(hasBeenDeleted);
+
+    const missingItem = await store.Person.get(mvila.id, { errorIfMissing: false });
+    assert.isUndefined(missingItem);
+  });
+
+  it('should map errors returned by the server', async function() {
+    let err = await catchError(async function() {
+      await store.Person.get('xyz');
+    });
+    assert.instanceOf(err, Error);
+    assert.equal(err.message, 'Item not found');
+    assert.equal(err.status, 404);
+
+    err = await catchError(async function() {
+      await store.Person.delete('xyz');
+    });
+    assert.equal(err.message, 'Item not found');
+
+    const hasBeenDeleted = await store.Person.delete('xyz', { errorIfMissing: false });
+    assert.isFalse(hasBeenDeleted);
+  });
+
+  describe('with several items', function() {
+    beforeEach(async function() {
+      await store.Person.put({ id: 'aaa', firstName: 'Jack', country: 'USA' });
+      await store.Person.put({ id: 'bbb', firstName: 'Pierre', country: 'France' });
+      await store.Person.put({ id: 'ccc', firstName: 'Vincent', country: 'USA' });
+    });
+
+    afterEach(async function() {
+      await store.Person.findAndDelete();
+    });
+
+    it('should be able to get many items by id', async function() {
+      const items = await store.Person.getMany(['aaa', 'ccc']);
+      assert.deepEqual(items.map(item => item.firstName), ['Jack', 'Vincent']);
+    });
+
+    it('should be able to find and count items', async function() {
+      const items = await store.Person.find({ query: { country: 'USA' } });
+      assert.deepEqual(items.map(item => item.id), ['aaa', 'ccc']);
+      assert.isFalse(items[0].isNew);
+      const count = await store.Person.count();
+      assert.strictEqual(count, 3);
+    });
+
+    it('should be able to iterate over items', async function() {
+      const ids = [];
+      await store.Person.forEach({ batchSize: 2 }, async function(item) {
+        ids.push(item.id);
+      });
+      assert.deepEqual(ids, ['aaa', 'bbb', 'ccc']);
+    });
+
+    it('should be able to find and delete items', async function() {
+      const deletedItemsCount = await store.Person.findAndDelete({ query: { country: 'USA' } });
+      assert.strictEqual(deletedItemsCount, 2);
+      const count = await store.Person.count();
+      assert.strictEqual(count, 1);
+    });
+
+    it('should be able to call custom methods', async function() {
+      const greeting = await store.Person.callModel('greet', { name: 'Manu' });
+      assert.equal(greeting, 'Hello, Manu!');
+
+      const item = await store.Person.get('bbb');
+      const result = await item.call('rename', undefined, { firstName: 'Paul' });
+      assert.isTrue(result);
+      await item.load();
+      assert.equal(item.firstName, 'Paul');
+
+      const request = server.requests[server.requests.length - 2];
+      assert.equal(request.method, 'POST');
+      assert.deepEqual(request.path, ['Person', 'bbb', 'rename']);
+    });
+  }); // 'with several items' suite
+}); // RemoteStore
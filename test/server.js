@@ -0,0 +1,321 @@
+'use strict';
+
+import http from 'http';
+import { assert } from 'chai';
+import { LocalStore, RemoteStore, NotFoundError, AlreadyExistsError, ValidationError, ConflictError, InvalidQueryError, createRequestHandler, model, Model, primaryKey, foreignKey, field, version, hasMany, belongsTo, expose } from '../src/node';
+
+async function catchError(fn) {
+  let err;
+  try {
+    await fn();
+  } catch (e) {
+    err = e;
+  }
+  return err;
+}
+
+describe('StoreServer', function() {
+  this.timeout(15000);
+
+  let localStore, remoteStore, server;
+
+  before(function(done) {
+    class Album extends Model {
+      @primaryKey() id;
+      @field(String) name;
+      @hasMany('Photo', 'albumId') photos;
+
+      @expose() static async countNames(options) {
+        const albums = await this.find(options);
+        return albums.filter(album => album.name).length;
+      }
+
+      @expose() async rename(options, { name }) {
+        this.name = name;
+        await this.save();
+        return this.name;
+      }
+
+      async secret() {
+        return 'secret';
+      }
+    }
+
+    class Photo extends Model {
+      @primaryKey() id;
+      @foreignKey() albumId;
+      @field(String) title;
+      @belongsTo('Album', 'albumId') album;
+    }
+
+    class Note extends Model {
+      @primaryKey() id;
+      @field(String, { validators: ['filled'] }) text;
+      @version() version;
+    }
+
+    class TestLocalStore extends LocalStore {
+      @model(Album) Album;
+      @model(Photo, { indexes: ['albumId'] }) Photo;
+      @model(Note, { history: true }) Note;
+    }
+
+    class TestRemoteStore extends RemoteStore {
+      @model(Album) Album;
+      @model(Photo) Photo;
+      @model(Note) Note;
+    }
+
+    localStore = new TestLocalStore({
+      name: 'TestStoreServer',
+      url: 'mysql://test@localhost/test'
+    });
+
+    server = http.createServer(createRequestHandler(localStore, { prefix: '/api' }));
+    server.listen(0, function() {
+      remoteStore = new TestRemoteStore({
+        name: 'TestStoreServer',
+        url: `http://localhost:${server.address().port}/api`
+      });
+      done();
+    });
+  });
+
+  after(async function() {
+    await new Promise(resolve => server.close(resolve));
+    await localStore.destroyAll();
+  });
+
+  it('should serve basic operations', async function() {
+    const album = new remoteStore.Album({ name: 'Holidays' });
+    await album.save();
+    assert.ok(album.id);
+
+    let item = await localStore.Album.get(album.id);
+    assert.equal(item.name, 'Holidays');
+
+    album.name = 'Summer holidays';
+    await album.save();
+    item = await remoteStore.Album.get(album.id);
+    assert.equal(item.name, 'Summer holidays');
+
+    assert.strictEqual(await remoteStore.Album.count(), 1);
+    const albums = await remoteStore.Album.find();
+    assert.deepEqual(albums.map(album => album.id), [album.id]);
+
+    assert.isTrue(await album.delete());
+    item = await remoteStore.Album.get(album.id, { errorIfMissing: false });
+    assert.isUndefined(item);
+  });
+
+  it('should return errors with an appropriate status', async function() {
+    let err = await catchError(async function() {
+      await remoteStore.Album.get('xyz');
+    });
+    assert.equal(err.status, 404);
+    assert.instanceOf(err, NotFoundError);
+    assert.equal(err.className, 'Album');
+    assert.equal(err.key, 'xyz');
+
+    await remoteStore.Album.put({ id: 'album1', name: 'Album 1' });
+    err = await catchError(async function() {
+      await remoteStore.Album.put({ id: 'album1', name: 'Album 1' });
+    });
+    assert.equal(err.status, 409);
+    assert.instanceOf(err, AlreadyExistsError);
+    assert.equal(err.key, 'album1');
+    await remoteStore.Album.delete('album1');
+  });
+
+  it('should check the version of the saved items', async function() {
+    const note1 = await remoteStore.Note.put({ id: 'note1', text: 'Hello' });
+    assert.strictEqual(note1.version, 1);
+    const note2 = await remoteStore.Note.get('note1');
+    note1.text = 'Hello!';
+    await note1.save();
+    assert.strictEqual(note1.version, 2);
+
+    note2.text = 'Hi';
+    const err = await catchError(async function() {
+      await note2.save();
+    });
+    assert.equal(err.status, 409);
+    assert.instanceOf(err, ConflictError);
+    assert.strictEqual(err.storedVersion, 2);
+    await note1.delete();
+  });
+
+  it('should only accept the allowed options of write operations', async function() {
+    let err = await catchError(async function() {
+      await remoteStore.Note.put({ id: 'note5' }, { validate: false });
+    });
+    assert.equal(err.status, 400);
+    assert.instanceOf(err, ValidationError);
+
+    const note = await remoteStore.Note.put({ id: 'note5', text: 'Hello' });
+    err = await catchError(async function() {
+      await note.save({ source: 'remoteSynchronizer' });
+    });
+    assert.equal(err.status, 403);
+    err = await catchError(async function() {
+      await note.delete({ purge: true });
+    });
+    assert.equal(err.status, 403);
+    assert.strictEqual((await localStore.Note.get('note5')).version, 1);
+    await note.delete();
+  });
+
+  it('should handle relation-scoped queries', async function() {
+    const album = await remoteStore.Album.put({ id: 'album2', name: 'Album 2' });
+    await album.photos.put({ id: 'photo1', title: 'Photo 1' });
+    await album.photos.put({ id: 'photo2', title: 'Photo 2' });
+    await remoteStore.Photo.put({ id: 'photo3', title: 'Photo 3' });
+
+    const photo = await localStore.Photo.get('photo1');
+    assert.equal(photo.albumId, 'album2');
+
+    const photos = await album.photos.find();
+    assert.deepEqual(photos.map(photo => photo.id), ['photo1', 'photo2']);
+    assert.strictEqual(await album.photos.count(), 2);
+
+    const deletedItemsCount = await album.photos.findAndDelete();
+    assert.strictEqual(deletedItemsCount, 2);
+    assert.strictEqual(await remoteStore.Photo.count(), 1);
+
+    await remoteStore.Photo.delete('photo3');
+    await album.delete();
+  });
+
+  it('should include related items in a single request', async function() {
+    await remoteStore.Album.put({ id: 'album7', name: 'Album 7' });
+    await remoteStore.Photo.put({ id: 'photo7', albumId: 'album7', title: 'Photo 7' });
+    await remoteStore.Photo.put({ id: 'photo8', albumId: 'album7', title: 'Photo 8' });
+
+    const request = remoteStore.request;
+    let requestsCount = 0;
+    remoteStore.request = function() {
+      requestsCount++;
+      return request.apply(this, arguments);
+    };
+    try {
+      const albums = await remoteStore.Album.find({ include: 'photos' });
+      assert.deepEqual(albums.map(album => album.id), ['album7']);
+      const photos = albums[0].photos.includedItems;
+      assert.deepEqual(photos.map(photo => photo.id), ['photo7', 'photo8']);
+      assert.strictEqual(photos[0].album, albums[0]);
+      const photo = await remoteStore.Photo.get('photo8', { include: 'album' });
+      assert.strictEqual(photo.album.name, 'Album 7');
+      const manyPhotos = await remoteStore.Photo.getMany(['photo7'], { include: ['album'] });
+      assert.strictEqual(manyPhotos[0].album.name, 'Album 7');
+      assert.strictEqual(requestsCount, 3);
+    } finally {
+      remoteStore.request = request;
+    }
+
+    await remoteStore.Photo.findAndDelete({ query: { albumId: 'album7' } });
+    await remoteStore.Album.delete('album7');
+  });
+
+  it('should handle query operators', async function() {
+    await remoteStore.Photo.put({ id: 'photo4', albumId: 'album5', title: 'Photo 4' });
+    await remoteStore.Photo.put({ id: 'photo5', albumId: 'album6', title: 'Photo 5' });
+    await remoteStore.Photo.put({ id: 'photo6', albumId: 'album7', title: 'Photo 6' });
+
+    const query = { albumId: { $in: ['album5', 'album7'] } };
+    const photos = await remoteStore.Photo.find({ query });
+    assert.deepEqual(photos.map(photo => photo.id), ['photo4', 'photo6']);
+
+    const explanation = await remoteStore.Photo.find({ query, explain: true });
+    assert.deepEqual(explanation.index, ['albumId']);
+    assert.isTrue(explanation.isFiltered);
+
+    const err = await catchError(async function() {
+      await remoteStore.Photo.find({ query: { albumId: { $near: 'album5' } } });
+    });
+    assert.equal(err.status, 400);
+    assert.instanceOf(err, InvalidQueryError);
+    assert.equal(err.queryKey, 'albumId');
+
+    await remoteStore.Photo.findAndDelete({ query });
+    await remoteStore.Photo.delete('photo5');
+  });
+
+  it('should paginate items', async function() {
+    const album = await remoteStore.Album.put({ id: 'album8', name: 'Album 8' });
+    await album.photos.put({ id: 'photo7', title: 'Photo 7' });
+    await album.photos.put({ id: 'photo8', title: 'Photo 8' });
+    await album.photos.put({ id: 'photo9', title: 'Photo 9' });
+
+    let page = await album.photos.paginate({ limit: 2 });
+    assert.deepEqual(page.items.map(photo => photo.id), ['photo7', 'photo8']);
+    assert.strictEqual(page.items[0].title, 'Photo 7');
+    assert.isTrue(page.hasMore);
+    page = await album.photos.paginate({ limit: 2, cursor: page.nextCursor });
+    assert.deepEqual(page.items.map(photo => photo.id), ['photo9']);
+    assert.isFalse(page.hasMore);
+
+    const err = await catchError(async function() {
+      await album.photos.paginate({ limit: 2, cursor: 'xyz' });
+    });
+    assert.equal(err.status, 400);
+    assert.instanceOf(err, InvalidQueryError);
+
+    await album.photos.findAndDelete();
+    await album.delete();
+  });
+
+  it('should iterate over a range query in several batches', async function() {
+    await remoteStore.Photo.put({ id: 'photo10', albumId: 'album10', title: 'Photo 10' });
+    await remoteStore.Photo.put({ id: 'photo11', albumId: 'album12', title: 'Photo 11' });
+    await remoteStore.Photo.put({ id: 'photo12', albumId: 'album11', title: 'Photo 12' });
+    await remoteStore.Photo.put({ id: 'photo13', albumId: 'album13', title: 'Photo 13' });
+    await remoteStore.Photo.put({ id: 'photo14', albumId: 'album11', title: 'Photo 14' });
+
+    const query = { albumId: { $gte: 'album10', $lt: 'album13' } };
+    const ids = [];
+    await remoteStore.Photo.forEach({ query, batchSize: 2 }, function(photo) {
+      ids.push(photo.id);
+    });
+    assert.deepEqual(ids, ['photo10', 'photo12', 'photo14', 'photo11']);
+
+    await remoteStore.Photo.findAndDelete({ query: { albumId: { $gte: 'album10', $lte: 'album13' } } });
+  });
+
+  it('should serve the history of items', async function() {
+    const note = await remoteStore.Note.put({ id: 'note3', text: 'Draft' });
+    note.text = 'Final';
+    await note.save();
+
+    const entries = await note.getHistory();
+    assert.deepEqual(entries.map(entry => entry.changes.text), [
+      { to: 'Draft' }, { from: 'Draft', to: 'Final' }
+    ]);
+    assert.instanceOf(entries[0].date, Date);
+
+    await note.revert(entries[0].key);
+    assert.strictEqual(note.text, 'Draft');
+    assert.strictEqual((await localStore.Note.get('note3')).text, 'Draft');
+
+    await note.delete();
+  });
+
+  it('should route custom methods to exposed methods only', async function() {
+    const album = await remoteStore.Album.put({ id: 'album3', name: 'Album 3' });
+    await remoteStore.Album.put({ id: 'album4' });
+
+    const count = await remoteStore.Album.callModel('countNames');
+    assert.strictEqual(count, 1);
+
+    const name = await album.call('rename', undefined, { name: 'Album three' });
+    assert.equal(name, 'Album three');
+    await album.load();
+    assert.equal(album.name, 'Album three');
+
+    const err = await catchError(async function() {
+      await album.call('secret');
+    });
+    assert.equal(err.status, 404);
+
+    await remoteStore.Album.findAndDelete();
+  });
+}); // StoreServer
@@ -0,0 +1,132 @@
+'use strict';
+
+import { assert } from 'chai';
+import { LocalStore, Synchronizer, model, Model, primaryKey, field, createdOn, updatedOn } from '../src';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Synchronizer', function() {
+  this.timeout(15000);
+
+  let localStore, remoteStore, synchronizer;
+
+  before(async function() {
+    class Note extends Model {
+      @primaryKey() id;
+      @field(String) text;
+      @createdOn() createdOn;
+      @updatedOn() updatedOn;
+    }
+
+    // remote changes are found with the 'updatedOn' index
+    class TestStore extends LocalStore {
+      @model(Note, { indexes: ['updatedOn'] }) Note;
+    }
+
+    localStore = new TestStore({
+      name: 'TestSynchronizerLocal',
+      url: 'mysql://test@localhost/test'
+    });
+
+    remoteStore = new TestStore({
+      name: 'TestSynchronizerRemote',
+      url: 'mysql://test@localhost/test'
+    });
+
+    synchronizer = new Synchronizer({ localStore, remoteStore });
+  });
+
+  after(async function() {
+    await localStore.destroyAll();
+    await remoteStore.destroyAll();
+  });
+
+  it('should push local changes', async function() {
+    const note = await localStore.Note.put({ id: 'note1', text: 'Hello' });
+    assert.strictEqual(await synchronizer.getPendingChangesCount(), 1);
+
+    const progress = [];
+    synchronizer.on('progress', function(event) {
+      progress.push(event);
+    });
+    const stats = await synchronizer.synchronize();
+    synchronizer.off('progress');
+    assert.strictEqual(stats.pushedCount, 1);
+    assert.deepEqual(progress, [{ doneCount: 1, totalCount: 1 }]);
+    assert.strictEqual(await synchronizer.getPendingChangesCount(), 0);
+
+    const remoteNote = await remoteStore.Note.get('note1');
+    assert.equal(remoteNote.text, 'Hello');
+    assert.equal(remoteNote.createdOn.toJSON(), note.createdOn.toJSON());
+    assert.equal(remoteNote.updatedOn.toJSON(), note.updatedOn.toJSON());
+  });
+
+  it('should pull remote changes', async function() {
+    const remoteNote = await remoteStore.Note.get('note1');
+    remoteNote.text = 'Hello, world!';
+    await remoteNote.save();
+    await remoteStore.Note.put({ id: 'note2', text: 'Bonjour' });
+
+    const stats = await synchronizer.synchronize();
+    assert.strictEqual(stats.pulledCount, 2);
+
+    const localNote = await localStore.Note.get('note1');
+    assert.equal(localNote.text, 'Hello, world!');
+    assert.equal(localNote.updatedOn.toJSON(), remoteNote.updatedOn.toJSON());
+    assert.strictEqual(await localStore.Note.count(), 2);
+  });
+
+  it('should synchronize deletions', async function() {
+    await localStore.Note.delete('note2');
+    await synchronizer.synchronize();
+    const remoteNote = await remoteStore.Note.get('note2', { errorIfMissing: false });
+    assert.isUndefined(remoteNote);
+  });
+
+  it('should resolve conflicts with the most recent change', async function() {
+    const localNote = await localStore.Note.get('note1');
+    localNote.text = 'Local text';
+    await localNote.save();
+    await sleep(10);
+    const remoteNote = await remoteStore.Note.get('note1');
+    remoteNote.text = 'Remote text';
+    await remoteNote.save();
+
+    const conflicts = [];
+    synchronizer.on('conflict', function(event) {
+      conflicts.push(event);
+    });
+    const stats = await synchronizer.synchronize();
+    synchronizer.off('conflict');
+    assert.strictEqual(stats.conflictsCount, 1);
+    assert.lengthOf(conflicts, 1);
+    assert.equal(conflicts[0].key, 'note1');
+    assert.equal(conflicts[0].winner, 'remote');
+
+    await localNote.load();
+    assert.equal(localNote.text, 'Remote text');
+    assert.strictEqual(await synchronizer.getPendingChangesCount(), 0);
+  });
+
+  it('should pull changes made by other clients of the remote store', async function() {
+    // another process using the remote store
+    const otherRemoteStore = new remoteStore.constructor({
+      name: 'TestSynchronizerRemote',
+      url: 'mysql://test@localhost/test'
+    });
+    await sleep(10);
+    const otherNote = await otherRemoteStore.Note.get('note1');
+    otherNote.text = 'Text changed elsewhere';
+    await otherNote.save();
+    await otherRemoteStore.Note.put({ id: 'note3', text: 'Hola' });
+    assert.strictEqual(await synchronizer.getPendingChangesCount(), 2);
+
+    const stats = await synchronizer.synchronize();
+    assert.strictEqual(stats.pulledCount, 2);
+    assert.equal((await localStore.Note.get('note1')).text, 'Text changed elsewhere');
+    assert.equal((await localStore.Note.get('note3')).text, 'Hola');
+    assert.strictEqual(await synchronizer.getPendingChangesCount(), 0);
+  });
+}); // Synchronizer